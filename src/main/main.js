@@ -1,4 +1,4 @@
-import { app, BrowserWindow, dialog, ipcMain, session } from 'electron';
+import { app, BrowserWindow, dialog, ipcMain, session, webContents } from 'electron';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { fork } from 'child_process';
@@ -7,6 +7,10 @@ import staticServer from '../utils/static-server.js';
 import Logger from '../utils/logger.js';
 import config from '../utils/config.js';
 import StaticAnalyzer from '../utils/static-analyzer.js';
+import constants from '../utils/constants.js';
+import JobQueue from '../utils/job-queue.js';
+import InteractionScript from '../utils/interaction-script.js';
+import DeviceProfiles from '../utils/device-profiles.js';
 
 // Get __dirname equivalent in ESM
 const __filename = fileURLToPath(import.meta.url);
@@ -113,7 +117,7 @@ let serverHandle = null;
 /**
  * Toggle static server on/off
  */
-ipcMain.handle('toggle-server', async (_event, { dir, port }) => {
+ipcMain.handle('toggle-server', async (_event, { dir, port, replay = null }) => {
   try {
     if (serverHandle) {
       logger.info('Stopping static server...');
@@ -134,12 +138,17 @@ ipcMain.handle('toggle-server', async (_event, { dir, port }) => {
         logger.info(`Created assets directory: ${assetsDir}`);
       }
       
-      serverHandle = await staticServer.start(assetsDir, finalPort);
+      // Replay mode answers the clone's API calls from the recorded logs
+      const replayOptions = replay 
+        ? { logsPath: path.join(dir, 'logs', 'api_logs.json'), matchBody: replay.matchBody ?? config.server.replay.matchBody } 
+        : null;
+      serverHandle = await staticServer.start(assetsDir, finalPort, { replay: replayOptions });
       return { 
         running: true, 
         url: serverHandle.url,
         port: serverHandle.port,
-        originalPort: finalPort
+        originalPort: finalPort,
+        replay: serverHandle.replay
       };
     }
   } catch (error) {
@@ -166,43 +175,300 @@ ipcMain.handle('analyze-static-files', async (_event, { html, baseUrl }) => {
 });
 
 /**
- * Start the Puppeteer clone worker
+ * Validate a pre-capture interaction script before it is saved or used
  */
-ipcMain.handle('start-clone', async (_event, options) => {
+ipcMain.handle('validate-steps', async (_event, source) => {
+  try {
+    return { steps: InteractionScript.parse(source), error: null };
+  } catch (error) {
+    return { steps: [], error: error.message };
+  }
+});
+
+/**
+ * List device profiles: built-ins plus the renderer's custom profiles (JSON)
+ */
+ipcMain.handle('get-device-profiles', async (_event, customSource = '') => {
+  try {
+    return { profiles: DeviceProfiles.list(DeviceProfiles.parseCustom(customSource)), error: null };
+  } catch (error) {
+    return { profiles: DeviceProfiles.list(), error: error.message };
+  }
+});
+
+// User agents of emulated webviews before emulation: webContentsId -> user agent
+const originalUserAgents = new Map();
+
+/**
+ * Emulate a device profile in a webview (the source view), or restore it with a null profile
+ */
+ipcMain.handle('emulate-source-view', async (_event, webContentsId, profile = null) => {
+  const contents = webContents.fromId(webContentsId);
+  if (!contents) return false;
+  
+  if (!originalUserAgents.has(webContentsId)) {
+    originalUserAgents.set(webContentsId, contents.getUserAgent());
+  }
+  
+  if (!profile) {
+    contents.disableDeviceEmulation();
+    contents.setUserAgent(originalUserAgents.get(webContentsId));
+    return true;
+  }
+  
+  const device = DeviceProfiles.normalize(profile);
+  const size = { width: device.width, height: device.height };
+  contents.enableDeviceEmulation({
+    screenPosition: device.isMobile ? 'mobile' : 'desktop',
+    screenSize: size,
+    viewPosition: { x: 0, y: 0 },
+    viewSize: size,
+    deviceScaleFactor: device.deviceScaleFactor,
+    scale: 1
+  });
+  contents.setUserAgent(device.userAgent || originalUserAgents.get(webContentsId));
+  logger.info(`Source view emulates ${device.name}`);
+  return true;
+});
+
+// Clone workers in flight: jobId -> { worker, reject, killTimer }
+const activeClones = new Map();
+
+// How long a cancelled worker gets to close its browser (and roll back) before it is killed
+const CANCEL_TIMEOUT = 10000;
+
+/**
+ * Send an event to the renderer if the window is still open
+ * @param {string} channel - IPC channel
+ * @param {*} payload - Event payload
+ */
+function sendToRenderer(channel, payload) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
+  }
+}
+
+/**
+ * Error a cancelled clone rejects with
+ * @returns {Error} Error flagged as cancelled
+ */
+function cancelledError() {
+  return Object.assign(new Error(constants.CLONE_CANCELLED), { cancelled: true });
+}
+
+/**
+ * Run one clone job in its own worker process
+ * @param {Object} job - Job from the clone queue
+ * @returns {Promise<Object>} Clone result
+ */
+function runCloneWorker(job) {
   return new Promise((resolve, reject) => {
-    logger.info('Starting clone worker...');
+    logger.info(`Starting clone worker for job #${job.id}: ${job.url}`);
     
+    // Worker logs go straight to the main process output: unread pipes fill up and block the worker
     const worker = fork(path.join(__dirname, '../workers/clone-worker.js'), [], {
-      stdio: 'pipe'
+      stdio: ['ignore', 'inherit', 'inherit', 'ipc']
     });
     
-    worker.send(options);
+    activeClones.set(job.id, { worker, reject, killTimer: null, browserPid: null });
+    
+    /**
+     * Stop tracking the worker once it has settled
+     */
+    const settle = () => {
+      clearTimeout(activeClones.get(job.id)?.killTimer);
+      activeClones.delete(job.id);
+      worker.kill();
+    };
+    
+    worker.send(job.options);
     
     worker.on('message', (message) => {
       if (message.type === 'progress') {
-        mainWindow.webContents.send('clone-progress', message.payload);
+        sendToRenderer('clone-progress', { ...message.payload, jobId: job.id });
+      } else if (message.type === 'browser') {
+        const clone = activeClones.get(job.id);
+        if (clone) clone.browserPid = message.payload.pid;
       } else if (message.type === 'done') {
-        logger.success('Clone operation completed');
+        logger.success(`Clone job #${job.id} completed`);
+        settle();
         resolve(message.payload);
-        worker.kill();
       } else if (message.type === 'error') {
-        logger.error('Clone operation failed: ' + message.payload);
-        reject(message.payload);
-        worker.kill();
+        logger.error(`Clone job #${job.id} failed: ` + message.payload);
+        settle();
+        reject(new Error(message.payload));
+      } else if (message.type === 'cancelled') {
+        logger.warn(`Clone job #${job.id} cancelled`);
+        settle();
+        sendToRenderer('clone-progress', { cloneCancelled: true, rolledBack: message.payload.rolledBack, jobId: job.id });
+        reject(cancelledError());
       }
     });
     
     worker.on('error', (error) => {
       logger.error('Worker error: ' + error.message);
-      reject(String(error));
+      settle();
+      reject(error);
     });
     
-    worker.on('exit', (code) => {
+    // A worker that dies (crash, OOM, killed) before reporting back must still settle its job
+    worker.on('exit', (code, signal) => {
       if (code !== 0) {
-        logger.warn(`Worker exited with code ${code}`);
+        logger.warn(`Worker exited with ${signal ? `signal ${signal}` : `code ${code}`}`);
       }
+      if (!activeClones.has(job.id)) return;
+      settle();
+      reject(new Error(`Clone worker exited before finishing (${signal ? `signal ${signal}` : `code ${code}`})`));
     });
   });
+}
+
+/**
+ * Ask a running job's worker to cancel; kill it if it does not report back in time
+ * @param {number} jobId - Job ID
+ */
+function cancelCloneWorker(jobId) {
+  const clone = activeClones.get(jobId);
+  if (!clone || clone.killTimer) return;
+  
+  clone.worker.send({ type: 'cancel' });
+  clone.killTimer = setTimeout(() => {
+    logger.warn('Clone worker did not stop in time, killing it');
+    clone.worker.kill('SIGKILL');
+    // Chromium is the worker's child: killing the worker alone would leave it running
+    if (clone.browserPid) {
+      try {
+        process.kill(clone.browserPid, 'SIGKILL');
+      } catch {}
+    }
+    activeClones.delete(jobId);
+    clone.reject(cancelledError());
+  }, CANCEL_TIMEOUT);
+}
+
+// Clone jobs: one worker (and one Chromium) per running job, identical URLs into the same folder deduplicated
+const cloneQueue = new JobQueue({
+  concurrency: config.queue.concurrency,
+  keepFinished: config.queue.keepFinished,
+  run: runCloneWorker,
+  getKey: options => `${String(options.url).split('#')[0]}|${path.resolve(options.outputDir || '')}|${options.filename || ''}`,
+  onChange: jobs => sendToRenderer('clone-queue', jobs)
+});
+
+/**
+ * Queue a clone job; resolves with the clone result once the job has run
+ */
+ipcMain.handle('start-clone', async (_event, options) => {
+  const { priority = 0, ...cloneOptions } = options || {};
+  const { job, promise, duplicate } = cloneQueue.add(cloneOptions, { priority });
+  logger.info(`${duplicate ? 'Already queued' : 'Queued'} clone job #${job.id}: ${job.url}`);
+  
+  try {
+    return await promise;
+  } catch (error) {
+    throw error.cancelled ? constants.CLONE_CANCELLED : error.message;
+  }
+});
+
+/**
+ * Cancel one job (by ID) or every queued and running job
+ */
+ipcMain.handle('cancel-clone', async (_event, jobId = null) => {
+  if (jobId != null) {
+    if (activeClones.has(jobId)) {
+      cancelCloneWorker(jobId);
+    } else {
+      cloneQueue.remove(jobId);
+    }
+    return { cancelled: 1 };
+  }
+  
+  const count = activeClones.size + cloneQueue.cancelQueued();
+  logger.info(`Cancelling ${count} clone job(s)...`);
+  for (const id of activeClones.keys()) {
+    cancelCloneWorker(id);
+  }
+  return { cancelled: count };
+});
+
+/**
+ * Clone queue management
+ */
+ipcMain.handle('get-clone-queue', async () => cloneQueue.list());
+ipcMain.handle('move-clone-job', async (_event, jobId, offset) => cloneQueue.move(jobId, offset));
+ipcMain.handle('retry-clone-job', async (_event, jobId) => cloneQueue.retry(jobId));
+ipcMain.handle('remove-clone-job', async (_event, jobId) => cloneQueue.remove(jobId));
+ipcMain.handle('set-clone-concurrency', async (_event, concurrency) => {
+  cloneQueue.setConcurrency(concurrency);
+  return cloneQueue.concurrency;
+});
+
+/**
+ * Run a visual diff of a finished clone in its own worker process
+ * @param {Object} options - `{ outputDir, fullPage, threshold }`
+ * @returns {Promise<Object>} Verification report
+ */
+function runVerifyWorker(options) {
+  return new Promise((resolve, reject) => {
+    logger.info(`Starting verify worker for ${options.outputDir}`);
+    
+    // Output inherited like the clone worker's
+    const worker = fork(path.join(__dirname, '../workers/verify-worker.js'), [], {
+      stdio: ['ignore', 'inherit', 'inherit', 'ipc']
+    });
+    
+    let settled = false;
+    
+    /**
+     * Stop the worker once the verification has settled
+     */
+    const settle = () => {
+      settled = true;
+      worker.kill();
+    };
+    
+    worker.send(options);
+    
+    worker.on('message', (message) => {
+      if (message.type === 'progress') {
+        sendToRenderer('verify-progress', message.payload);
+      } else if (message.type === 'done') {
+        logger.success(`Verification of ${options.outputDir} completed`);
+        settle();
+        resolve(message.payload);
+      } else if (message.type === 'error') {
+        logger.error('Verification failed: ' + message.payload);
+        settle();
+        reject(new Error(message.payload));
+      }
+    });
+    
+    worker.on('error', (error) => {
+      logger.error('Verify worker error: ' + error.message);
+      settle();
+      reject(error);
+    });
+    
+    // A worker that dies (crash, OOM, killed) before reporting back must still settle the verification
+    worker.on('exit', (code, signal) => {
+      if (settled) return;
+      const reason = signal ? `signal ${signal}` : `code ${code}`;
+      logger.warn(`Verify worker exited with ${reason}`);
+      settled = true;
+      reject(new Error(`Verify worker exited before finishing (${reason})`));
+    });
+  });
+}
+
+/**
+ * Compare the live pages of a clone with the clone as served locally
+ */
+ipcMain.handle('verify-clone', async (_event, options) => {
+  try {
+    return await runVerifyWorker(options);
+  } catch (error) {
+    throw error.message;
+  }
 });
 
 /**
@@ -314,6 +580,9 @@ app.on('window-all-closed', () => {
 
 app.on('before-quit', () => {
   logger.info('Application shutting down...');
+  for (const { worker } of activeClones.values()) {
+    worker.kill();
+  }
   if (serverHandle) {
     serverHandle.stop();
   }
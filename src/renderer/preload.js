@@ -7,9 +7,21 @@ contextBridge.exposeInMainWorld('electronAPI', {
   chooseFolder: () => ipcRenderer.invoke('show-open-dialog'),
   toggleServer: (options) => ipcRenderer.invoke('toggle-server', options),
   startClone: (options) => ipcRenderer.invoke('start-clone', options),
+  cancelClone: (jobId) => ipcRenderer.invoke('cancel-clone', jobId),
+  getCloneQueue: () => ipcRenderer.invoke('get-clone-queue'),
+  moveCloneJob: (jobId, offset) => ipcRenderer.invoke('move-clone-job', jobId, offset),
+  retryCloneJob: (jobId) => ipcRenderer.invoke('retry-clone-job', jobId),
+  removeCloneJob: (jobId) => ipcRenderer.invoke('remove-clone-job', jobId),
+  setCloneConcurrency: (concurrency) => ipcRenderer.invoke('set-clone-concurrency', concurrency),
   getCookies: (url) => ipcRenderer.invoke('get-cookies', url),
   analyzeStaticFiles: (options) => ipcRenderer.invoke('analyze-static-files', options),
+  validateSteps: (source) => ipcRenderer.invoke('validate-steps', source),
+  getDeviceProfiles: (customSource) => ipcRenderer.invoke('get-device-profiles', customSource),
+  emulateSourceView: (webContentsId, profile) => ipcRenderer.invoke('emulate-source-view', webContentsId, profile),
+  verifyClone: (options) => ipcRenderer.invoke('verify-clone', options),
   clearOutputFolder: (path) => ipcRenderer.invoke('clear-output-folder', path),
   clearSpecificFiles: (path, extensions) => ipcRenderer.invoke('clear-specific-files', path, extensions),
-  onCloneProgress: (callback) => ipcRenderer.on('clone-progress', (_event, payload) => callback(payload))
+  onCloneProgress: (callback) => ipcRenderer.on('clone-progress', (_event, payload) => callback(payload)),
+  onCloneQueue: (callback) => ipcRenderer.on('clone-queue', (_event, jobs) => callback(jobs)),
+  onVerifyProgress: (callback) => ipcRenderer.on('verify-progress', (_event, payload) => callback(payload))
 });
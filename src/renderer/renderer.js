@@ -11,12 +11,15 @@ const elements = {
   dstUrl: document.getElementById('dstUrl'),
   dstGo: document.getElementById('dstGo'),
   refreshBtn: document.getElementById('refreshBtn'),
+  capturePreview: document.getElementById('capturePreview'),
   chooseOut: document.getElementById('chooseOut'),
   outPath: document.getElementById('outPath'),
   portInput: document.getElementById('port'),
+  replayMode: document.getElementById('replayMode'),
   toggleServerBtn: document.getElementById('toggleServer'),
   testServerBtn: document.getElementById('testServer'),
   cloneBtn: document.getElementById('cloneBtn'),
+  verifyBtn: document.getElementById('verifyBtn'),
   clearBtn: document.getElementById('clearBtn'),
   clearDropdown: document.getElementById('clearDropdown'),
   clearDropdownMenu: document.getElementById('clearDropdownMenu'),
@@ -25,6 +28,59 @@ const elements = {
   clearHtmlBtn: document.getElementById('clearHtmlBtn'),
   clearImagesBtn: document.getElementById('clearImagesBtn'),
   clearSettingsBtn: document.getElementById('clearSettingsBtn'),
+  cloneOptions: document.getElementById('cloneOptions'),
+  crawlEnabled: document.getElementById('crawlEnabled'),
+  crawlDepth: document.getElementById('crawlDepth'),
+  crawlMaxPages: document.getElementById('crawlMaxPages'),
+  crawlScope: document.getElementById('crawlScope'),
+  crawlInclude: document.getElementById('crawlInclude'),
+  crawlExclude: document.getElementById('crawlExclude'),
+  unarchivedLinks: document.getElementById('unarchivedLinks'),
+  rollbackOnCancel: document.getElementById('rollbackOnCancel'),
+  waitOptions: document.getElementById('waitOptions'),
+  waitIdleTime: document.getElementById('waitIdleTime'),
+  waitIdleConnections: document.getElementById('waitIdleConnections'),
+  waitSelector: document.getElementById('waitSelector'),
+  waitFunction: document.getElementById('waitFunction'),
+  waitDelay: document.getElementById('waitDelay'),
+  waitTimeout: document.getElementById('waitTimeout'),
+  waitAutoScroll: document.getElementById('waitAutoScroll'),
+  snapshotOptions: document.getElementById('snapshotOptions'),
+  snapshotMode: document.getElementById('snapshotMode'),
+  shadowDom: document.getElementById('shadowDom'),
+  videoPosters: document.getElementById('videoPosters'),
+  rewriteScripts: document.getElementById('rewriteScripts'),
+  captureOptions: document.getElementById('captureOptions'),
+  captureFullPage: document.getElementById('captureFullPage'),
+  captureViewport: document.getElementById('captureViewport'),
+  capturePdf: document.getElementById('capturePdf'),
+  environmentOptions: document.getElementById('environmentOptions'),
+  envLocale: document.getElementById('envLocale'),
+  envTimezone: document.getElementById('envTimezone'),
+  envColorScheme: document.getElementById('envColorScheme'),
+  envReducedMotion: document.getElementById('envReducedMotion'),
+  envMedia: document.getElementById('envMedia'),
+  cancelCloneBtn: document.getElementById('cancelCloneBtn'),
+  deviceProfileList: document.getElementById('deviceProfileList'),
+  deviceApplySource: document.getElementById('deviceApplySource'),
+  deviceCustomBtn: document.getElementById('deviceCustomBtn'),
+  deviceCustomPanel: document.getElementById('deviceCustomPanel'),
+  deviceCustomStatus: document.getElementById('deviceCustomStatus'),
+  deviceCustomEditor: document.getElementById('deviceCustomEditor'),
+  stepsDomain: document.getElementById('stepsDomain'),
+  stepsStatus: document.getElementById('stepsStatus'),
+  stepsRecordBtn: document.getElementById('stepsRecordBtn'),
+  stepsSaveBtn: document.getElementById('stepsSaveBtn'),
+  stepsDeleteBtn: document.getElementById('stepsDeleteBtn'),
+  stepsEditor: document.getElementById('stepsEditor'),
+  queueSummary: document.getElementById('queueSummary'),
+  queueConcurrency: document.getElementById('queueConcurrency'),
+  queueAlternatesBtn: document.getElementById('queueAlternatesBtn'),
+  queueList: document.getElementById('queueList'),
+  verifyPanel: document.getElementById('verifyPanel'),
+  verifySummary: document.getElementById('verifySummary'),
+  verifyFullPage: document.getElementById('verifyFullPage'),
+  verifyList: document.getElementById('verifyList'),
   logArea: document.getElementById('logArea'),
   leftPanel: document.getElementById('leftPanel'),
   rightPanel: document.getElementById('rightPanel'),
@@ -44,17 +100,125 @@ const elements = {
 let serverRunning = false;
 let watchMode = false;
 let lastWatchedUrl = '';
-let cloneQueue = [];
+let cloneQueue = []; // Mirror of the main process clone queue
 let progressHideTimeout = null;
 let currentDomain = '';
 let totalFiles = 0; // Store total file count
 let progressCollapsed = false; // Track progress container collapse state
+const clonePhases = new Map(); // jobId -> last reported clone phase
+let clonesInFlight = 0; // Clones started and not yet settled
+let stepsDomain = ''; // Domain whose interaction steps are in the editor
+const localeAlternates = new Map(); // hreflang alternate URL -> hreflang, discovered while cloning
+let deviceProfiles = []; // Built-in and custom device profiles from the main process
+let sourceEmulation = null; // Profile emulated in srcView (JSON), null when not emulating
+let recording = null; // Step recorder state while recording in srcView: { steps, lastTyped, lastActionAt }
+
+// Rejection reason of a cancelled clone (constants.CLONE_CANCELLED in the main process)
+const CLONE_CANCELLED = 'clone-cancelled';
+
+// Prefix of the console messages the step recorder sends from srcView
+const RECORDER_MESSAGE = '__cloner_step__';
+
+// Step recorder injected into srcView: reports clicks, text/select changes and Enter presses
+// as interaction steps through console messages. Password values are never recorded.
+const RECORDER_SCRIPT = `
+  (function() {
+    if (window.__clonerRecorder) return;
+    window.__clonerRecorder = true;
+    
+    const emit = (step) => console.debug('${RECORDER_MESSAGE}' + JSON.stringify(step));
+    const unique = (selector) => {
+      try {
+        return document.querySelectorAll(selector).length === 1;
+      } catch (error) {
+        return false;
+      }
+    };
+    
+    // Shortest stable selector: unique id, test/name attributes, then a :nth-of-type path
+    const selectorFor = (element) => {
+      if (element.id && unique('#' + CSS.escape(element.id))) return '#' + CSS.escape(element.id);
+      for (const attribute of ['data-testid', 'data-test', 'data-qa', 'name', 'aria-label']) {
+        const value = element.getAttribute(attribute);
+        const selector = element.tagName.toLowerCase() + '[' + attribute + '=' + JSON.stringify(value) + ']';
+        if (value && unique(selector)) return selector;
+      }
+      
+      const parts = [];
+      for (let node = element; node && node.nodeType === 1 && node !== document.documentElement; node = node.parentElement) {
+        if (node !== element && node.id && unique('#' + CSS.escape(node.id))) {
+          parts.unshift('#' + CSS.escape(node.id));
+          break;
+        }
+        let part = node.tagName.toLowerCase();
+        const siblings = node.parentElement ? [...node.parentElement.children].filter(child => child.tagName === node.tagName) : [];
+        if (siblings.length > 1) part += ':nth-of-type(' + (siblings.indexOf(node) + 1) + ')';
+        parts.unshift(part);
+        if (unique(parts.join(' > '))) break;
+      }
+      return parts.join(' > ');
+    };
+    
+    const isTextField = (element) => element.tagName === 'TEXTAREA' ||
+      (element.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit', 'reset', 'image', 'file', 'hidden'].includes(element.type));
+    
+    document.addEventListener('click', (event) => {
+      const target = event.target.closest('a, button, input, select, textarea, label, summary, [role], [onclick]') || event.target;
+      // Text fields and selects are recorded by their value
+      if (target.tagName === 'SELECT' || isTextField(target)) return;
+      emit({ action: 'click', selector: selectorFor(target) });
+    }, true);
+    
+    document.addEventListener('change', (event) => {
+      const element = event.target;
+      if (element.tagName === 'SELECT') {
+        emit({ action: 'select', selector: selectorFor(element), value: element.value });
+      } else if (element.type === 'password') {
+        emit({ skipped: 'password field ' + selectorFor(element) });
+      } else if (isTextField(element)) {
+        emit({ action: 'type', selector: selectorFor(element), text: element.value, clear: true });
+      }
+    }, true);
+    
+    document.addEventListener('keydown', (event) => {
+      const element = event.target;
+      if (event.key !== 'Enter' || element.tagName !== 'INPUT' || !isTextField(element)) return;
+      const selector = selectorFor(element);
+      if (element.type !== 'password') {
+        emit({ action: 'type', selector, text: element.value, clear: true });
+      }
+      emit({ action: 'press', selector, key: 'Enter' });
+    }, true);
+  })();
+`;
+
+// A page load this soon after a recorded click or key press is attributed to it
+const RECORDER_NAVIGATION_WINDOW = 2000;
+
+// Steps accepted from recorder messages: action -> field -> expected type. Any page script can
+// log a message with the recorder's prefix, so nothing else (goto, evaluate, extra fields) gets in.
+const RECORDED_ACTIONS = {
+  click: { selector: 'string' },
+  type: { selector: 'string', text: 'string', clear: 'boolean' },
+  select: { selector: 'string', value: 'string' },
+  press: { selector: 'string', key: 'string' },
+  scroll: { selector: 'string', to: 'string', x: 'number', y: 'number' }
+};
+
+// Mismatch (in % of pixels) below which a verified page counts as matching the live site
+const VERIFY_MATCH_PERCENT = 1;
 
 // Local storage keys
 const STORAGE_KEYS = {
   LAST_URL: 'lastSourceUrl',
   LAST_OUTPUT_DIR: 'lastOutputDir',
-  LAST_PORT: 'lastPort'
+  LAST_PORT: 'lastPort',
+  REPLAY_MODE: 'replayMode',
+  CLONE_OPTIONS: 'cloneOptions',
+  QUEUE_CONCURRENCY: 'queueConcurrency',
+  INTERACTION_SCRIPTS: 'interactionScripts', // domain -> steps JSON
+  DEVICE_OPTIONS: 'deviceOptions',
+  CUSTOM_DEVICES: 'customDevices'
 };
 
 // Debounce utility (kept for resize observer)
@@ -77,6 +241,10 @@ function initializeApp() {
   setupEventListeners();
   setupResizePanels();
   setupCloneProgressListener();
+  setupCloneQueue();
+  setupInteractionSteps();
+  setupDeviceProfiles();
+  setupVisualDiff();
   setupResizeObserver();
   restoreLastSettings();
   setupUrlSync();
@@ -129,6 +297,141 @@ function restoreLastSettings() {
     elements.portInput.value = lastPort;
     appendLog(`🔌 Restored last port: ${lastPort}`);
   }
+  elements.replayMode.value = localStorage.getItem(STORAGE_KEYS.REPLAY_MODE) || '';
+  
+  // Restore clone options
+  const cloneOptions = localStorage.getItem(STORAGE_KEYS.CLONE_OPTIONS);
+  if (cloneOptions) {
+    try {
+      applyCloneOptions(JSON.parse(cloneOptions));
+    } catch (error) {
+      console.warn('Could not restore clone options:', error);
+    }
+  }
+}
+
+/**
+ * Split a comma separated pattern list from an input field
+ * @param {string} value - Raw input value
+ * @returns {Array<string>} Trimmed, non-empty patterns
+ */
+function parsePatternList(value) {
+  return value.split(',').map(pattern => pattern.trim()).filter(Boolean);
+}
+
+/**
+ * Read a number input, leaving it empty when unset so the worker's default applies
+ * @param {HTMLInputElement} input - Number input
+ * @returns {number|string} Parsed value or ''
+ */
+function readOptionalNumber(input) {
+  const value = parseFloat(input.value);
+  return Number.isFinite(value) ? value : '';
+}
+
+/**
+ * Read a whole-number input, falling back to its default value (the HTML `value`) when invalid
+ * @param {HTMLInputElement} input - Number input
+ * @param {number} min - Smallest accepted value
+ * @returns {number} Parsed value, at least min
+ */
+function readCount(input, min) {
+  const value = parseInt(input.value, 10);
+  const fallback = parseInt(input.defaultValue, 10);
+  return Math.max(min, Number.isFinite(value) ? value : (Number.isFinite(fallback) ? fallback : min));
+}
+
+/**
+ * Read the clone and wait option rows
+ * @returns {Object} Clone options; `crawl.enabled` tells whether crawl mode is on
+ */
+function readCloneOptions() {
+  return {
+    crawl: {
+      enabled: elements.crawlEnabled.checked,
+      maxDepth: readCount(elements.crawlDepth, 0),
+      maxPages: readCount(elements.crawlMaxPages, 1),
+      scope: elements.crawlScope.value,
+      include: parsePatternList(elements.crawlInclude.value),
+      exclude: parsePatternList(elements.crawlExclude.value)
+    },
+    unarchivedLinks: elements.unarchivedLinks.value,
+    rollbackOnCancel: elements.rollbackOnCancel.checked,
+    wait: {
+      idleTime: readOptionalNumber(elements.waitIdleTime),
+      idleConnections: readOptionalNumber(elements.waitIdleConnections),
+      selector: elements.waitSelector.value.trim(),
+      function: elements.waitFunction.value.trim(),
+      delay: readOptionalNumber(elements.waitDelay),
+      timeout: elements.waitTimeout.value ? readOptionalNumber(elements.waitTimeout) * 1000 : '',
+      autoScroll: elements.waitAutoScroll.checked
+    },
+    snapshotMode: elements.snapshotMode.value,
+    shadowDom: elements.shadowDom.value,
+    videoPosters: elements.videoPosters.checked,
+    rewriteScripts: elements.rewriteScripts.checked,
+    captures: {
+      fullPage: elements.captureFullPage.checked,
+      viewport: elements.captureViewport.checked,
+      pdf: elements.capturePdf.checked
+    },
+    environment: {
+      locale: elements.envLocale.value.trim(),
+      timezone: elements.envTimezone.value.trim(),
+      colorScheme: elements.envColorScheme.value,
+      reducedMotion: elements.envReducedMotion.value,
+      media: elements.envMedia.value
+    }
+  };
+}
+
+/**
+ * Fill the clone options row from saved options
+ * @param {Object} saved - Options previously returned by readCloneOptions
+ */
+function applyCloneOptions(saved) {
+  const crawl = saved.crawl || {};
+  elements.crawlEnabled.checked = !!crawl.enabled;
+  elements.crawlDepth.value = crawl.maxDepth ?? elements.crawlDepth.value;
+  elements.crawlMaxPages.value = crawl.maxPages ?? elements.crawlMaxPages.value;
+  elements.crawlScope.value = crawl.scope || 'host';
+  elements.crawlInclude.value = (crawl.include || []).join(', ');
+  elements.crawlExclude.value = (crawl.exclude || []).join(', ');
+  elements.unarchivedLinks.value = saved.unarchivedLinks || 'stub';
+  elements.rollbackOnCancel.checked = !!saved.rollbackOnCancel;
+
+  const wait = saved.wait || {};
+  elements.waitIdleTime.value = wait.idleTime ?? '';
+  elements.waitIdleConnections.value = wait.idleConnections ?? '';
+  elements.waitSelector.value = wait.selector || '';
+  elements.waitFunction.value = wait.function || '';
+  elements.waitDelay.value = wait.delay ?? '';
+  elements.waitTimeout.value = wait.timeout ? wait.timeout / 1000 : '';
+  elements.waitAutoScroll.checked = !!wait.autoScroll;
+
+  elements.snapshotMode.value = saved.snapshotMode || 'keep-js';
+  elements.shadowDom.value = saved.shadowDom || 'declarative';
+  elements.videoPosters.checked = !!saved.videoPosters;
+  elements.rewriteScripts.checked = !!saved.rewriteScripts;
+
+  const captures = saved.captures || {};
+  elements.captureFullPage.checked = !!captures.fullPage;
+  elements.captureViewport.checked = !!captures.viewport;
+  elements.capturePdf.checked = !!captures.pdf;
+
+  const environment = saved.environment || {};
+  elements.envLocale.value = environment.locale || '';
+  elements.envTimezone.value = environment.timezone || '';
+  elements.envColorScheme.value = environment.colorScheme || '';
+  elements.envReducedMotion.value = environment.reducedMotion || '';
+  elements.envMedia.value = environment.media || '';
+}
+
+/**
+ * Save clone options to localStorage
+ */
+function saveCloneOptions() {
+  localStorage.setItem(STORAGE_KEYS.CLONE_OPTIONS, JSON.stringify(readCloneOptions()));
 }
 
 /**
@@ -155,6 +458,9 @@ function setupEventListeners() {
     localStorage.setItem(STORAGE_KEYS.LAST_PORT, e.target.value);
     appendLog(`💾 Saved port: ${e.target.value}`);
   });
+  elements.replayMode.addEventListener('change', (e) => {
+    localStorage.setItem(STORAGE_KEYS.REPLAY_MODE, e.target.value);
+  });
   
   // Watch for URL changes in srcView for auto-clone
   elements.srcView.addEventListener('did-navigate', handleUrlChange);
@@ -184,6 +490,7 @@ function setupEventListeners() {
   
   // Clone operation
   elements.cloneBtn.addEventListener('click', handleClone);
+  elements.cancelCloneBtn.addEventListener('click', handleCancelClone);
   
   // Progress toggle
   elements.progressToggle.addEventListener('click', handleProgressToggle);
@@ -209,6 +516,14 @@ function setupEventListeners() {
   
   // Clear saved settings
   elements.clearSettingsBtn.addEventListener('click', handleClearSettings);
+  
+  // Persist clone options when any of them changes
+  elements.cloneOptions.addEventListener('change', saveCloneOptions);
+  elements.waitOptions.addEventListener('change', saveCloneOptions);
+  elements.environmentOptions.addEventListener('change', saveCloneOptions);
+  elements.snapshotOptions.addEventListener('change', saveCloneOptions);
+  elements.captureOptions.addEventListener('change', saveCloneOptions);
+  elements.capturePreview.addEventListener('change', handleCapturePreview);
 }
 
 /**
@@ -291,7 +606,8 @@ function updateLogAreaHeight() {
   // Use requestAnimationFrame for smooth updates
   requestAnimationFrame(() => {
     const bottomHeight = elements.bottom.offsetHeight;
-    const controlsHeight = elements.bottom.querySelector('.controls').offsetHeight;
+    const controlsHeight = Array.from(elements.bottom.querySelectorAll('.controls'))
+      .reduce((sum, row) => sum + row.offsetHeight, 0);
     const availableHeight = bottomHeight - controlsHeight - 20; // 20px padding
     
     // Set height without transition for immediate response
@@ -325,57 +641,672 @@ function setupResizeObserver() {
   }, 100));
 }
 
+/**
+ * Setup the clone queue panel: restore the concurrency limit and mirror the main process queue
+ */
+function setupCloneQueue() {
+  const concurrency = localStorage.getItem(STORAGE_KEYS.QUEUE_CONCURRENCY);
+  if (concurrency) {
+    elements.queueConcurrency.value = concurrency;
+  }
+  window.electronAPI.setCloneConcurrency(parseInt(elements.queueConcurrency.value, 10) || 1);
+  
+  elements.queueConcurrency.addEventListener('change', async (e) => {
+    const applied = await window.electronAPI.setCloneConcurrency(parseInt(e.target.value, 10) || 1);
+    e.target.value = applied;
+    localStorage.setItem(STORAGE_KEYS.QUEUE_CONCURRENCY, String(applied));
+    appendLog(`💾 Parallel clones: ${applied}`);
+  });
+  
+  elements.queueList.addEventListener('click', handleQueueAction);
+  elements.queueAlternatesBtn.addEventListener('click', handleQueueAlternates);
+  window.electronAPI.onCloneQueue(renderCloneQueue);
+  window.electronAPI.getCloneQueue().then(renderCloneQueue);
+}
+
+/**
+ * Setup the device profile row: list profiles, restore the selection, edit custom profiles
+ */
+async function setupDeviceProfiles() {
+  elements.deviceCustomEditor.value = localStorage.getItem(STORAGE_KEYS.CUSTOM_DEVICES) || '';
+  
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.DEVICE_OPTIONS) || '{}');
+  } catch (error) {
+    console.warn('Could not restore device options:', error);
+  }
+  elements.deviceApplySource.checked = !!saved.applyToSource;
+  await loadDeviceProfiles(saved.selected || ['desktop']);
+  
+  elements.deviceProfileList.addEventListener('change', handleDeviceOptionsChange);
+  elements.deviceApplySource.addEventListener('change', handleDeviceOptionsChange);
+  elements.deviceCustomBtn.addEventListener('click', () => {
+    const hidden = elements.deviceCustomPanel.style.display === 'none';
+    elements.deviceCustomPanel.style.display = hidden ? '' : 'none';
+  });
+  elements.deviceCustomEditor.addEventListener('input', debounce(handleCustomDevicesChange, 400));
+  
+  // Emulation settings of a webview apply to the documents it loads next
+  elements.srcView.addEventListener('dom-ready', applySourceEmulation);
+}
+
+/**
+ * Fetch the device profiles (built-in + custom) and render them as checkboxes
+ * @param {Array<string>} selected - IDs of the profiles to check
+ */
+async function loadDeviceProfiles(selected) {
+  const { profiles, error } = await window.electronAPI.getDeviceProfiles(elements.deviceCustomEditor.value);
+  deviceProfiles = profiles;
+  elements.deviceCustomStatus.classList.toggle('invalid', !!error);
+  elements.deviceCustomStatus.textContent = error ? `✗ ${error}` : '';
+  
+  elements.deviceProfileList.innerHTML = '';
+  for (const profile of profiles) {
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+    label.title = `${profile.width}×${profile.height} @${profile.deviceScaleFactor}x` +
+      `${profile.isMobile ? ', mobile' : ''}${profile.hasTouch ? ', touch' : ''}` +
+      `${profile.userAgent ? `\n${profile.userAgent}` : ''}`;
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = profile.id;
+    checkbox.checked = selected.includes(profile.id);
+    
+    label.append(checkbox, ` ${profile.custom ? '✏️ ' : ''}${profile.name}`);
+    elements.deviceProfileList.appendChild(label);
+  }
+}
+
+/**
+ * Device profiles checked for cloning (the default desktop profile when none is)
+ * @returns {Array<Object>} Profiles
+ */
+function getSelectedDeviceProfiles() {
+  const ids = [...elements.deviceProfileList.querySelectorAll('input:checked')].map(input => input.value);
+  const selected = deviceProfiles.filter(profile => ids.includes(profile.id));
+  return selected.length ? selected : deviceProfiles.filter(profile => profile.id === 'desktop');
+}
+
+/**
+ * Save the device selection and update the source view emulation
+ */
+function handleDeviceOptionsChange() {
+  const selected = [...elements.deviceProfileList.querySelectorAll('input:checked')].map(input => input.value);
+  localStorage.setItem(STORAGE_KEYS.DEVICE_OPTIONS, JSON.stringify({
+    selected,
+    applyToSource: elements.deviceApplySource.checked
+  }));
+  applySourceEmulation();
+}
+
+/**
+ * Validate and store custom device profiles, then refresh the list
+ */
+async function handleCustomDevicesChange() {
+  const selected = [...elements.deviceProfileList.querySelectorAll('input:checked')].map(input => input.value);
+  await loadDeviceProfiles(selected);
+  if (!elements.deviceCustomStatus.textContent) {
+    localStorage.setItem(STORAGE_KEYS.CUSTOM_DEVICES, elements.deviceCustomEditor.value);
+    handleDeviceOptionsChange();
+  }
+}
+
+/**
+ * Emulate the first selected device profile in srcView (or stop emulating) and reload it if that changed
+ */
+async function applySourceEmulation() {
+  const profile = elements.deviceApplySource.checked ? getSelectedDeviceProfiles()[0] : null;
+  const emulation = profile ? JSON.stringify(profile) : null;
+  if (emulation === sourceEmulation) return;
+  
+  try {
+    await window.electronAPI.emulateSourceView(elements.srcView.getWebContentsId(), profile);
+  } catch (error) {
+    // The webview is not attached yet; dom-ready applies the emulation later
+    return;
+  }
+  sourceEmulation = emulation;
+  appendLog(profile ? `📱 Source view emulates ${profile.name}` : '🖥️ Source view emulation off');
+  
+  const currentUrl = elements.srcView.getURL();
+  if (currentUrl && !currentUrl.startsWith('about:')) {
+    elements.srcView.reload();
+  }
+}
+
+/**
+ * Setup the interaction steps editor: validate while typing, save/delete per domain
+ */
+function setupInteractionSteps() {
+  elements.stepsEditor.addEventListener('input', debounce(validateStepsEditor, 400));
+  elements.stepsRecordBtn.addEventListener('click', toggleRecording);
+  elements.stepsSaveBtn.addEventListener('click', handleSaveSteps);
+  elements.stepsDeleteBtn.addEventListener('click', handleDeleteSteps);
+  
+  // Recorder plumbing: steps arrive as console messages, every new document needs the script again
+  elements.srcView.addEventListener('console-message', handleRecorderMessage);
+  elements.srcView.addEventListener('dom-ready', () => {
+    if (recording) injectRecorder();
+  });
+  elements.srcView.addEventListener('did-navigate', (event) => {
+    if (recording) recordNavigation(event.url);
+  });
+}
+
+/**
+ * Start or stop recording interactions in srcView
+ */
+async function toggleRecording() {
+  if (recording) {
+    stopRecording();
+    return;
+  }
+  
+  // New steps are appended to the valid steps already in the editor
+  const { steps, error } = await validateStepsEditor();
+  if (error) {
+    showAlert(`⚠️ Fix the interaction steps before recording: ${error}`);
+    return;
+  }
+  
+  recording = { steps, lastTyped: new Map(), lastActionAt: 0 };
+  elements.stepsRecordBtn.textContent = '⏹️ Stop';
+  elements.stepsRecordBtn.classList.add('recording');
+  await injectRecorder();
+  appendLog('⏺️ Recording clicks, inputs and navigations in the source view');
+}
+
+/**
+ * Stop recording and leave the recorded steps in the editor
+ */
+function stopRecording() {
+  const count = recording.steps.length;
+  recording = null;
+  elements.stepsRecordBtn.textContent = '⏺️ Record';
+  elements.stepsRecordBtn.classList.remove('recording');
+  validateStepsEditor();
+  appendLog(`⏹️ Recording stopped: ${count} step(s) in the editor (💾 Save for domain to reuse them)`);
+}
+
+/**
+ * Inject the recorder into the page shown in srcView
+ */
+async function injectRecorder() {
+  try {
+    await elements.srcView.executeJavaScript(RECORDER_SCRIPT);
+  } catch (error) {
+    appendLog('⚠️ Could not start the recorder on this page: ' + error.message);
+  }
+}
+
+/**
+ * Receive a step from the recorder
+ * @param {Event} event - Webview console-message event
+ */
+function handleRecorderMessage(event) {
+  if (!recording || !event.message?.startsWith(RECORDER_MESSAGE)) return;
+  
+  let step;
+  try {
+    step = JSON.parse(event.message.slice(RECORDER_MESSAGE.length));
+  } catch {
+    return;
+  }
+  if (typeof step?.skipped === 'string') {
+    appendLog(`🔒 Not recorded: ${step.skipped} (values of password fields are never saved)`);
+    return;
+  }
+  step = toRecordedStep(step);
+  if (!step) {
+    appendLog('⚠️ Ignored a step message the recorder did not send (only click, type, select, press and scroll steps are recorded)');
+    return;
+  }
+  
+  // Enter in a field reports its value again before the change event; keep one type step per value
+  if (step.action === 'type') {
+    if (recording.lastTyped.get(step.selector) === step.text) return;
+    recording.lastTyped.set(step.selector, step.text);
+  }
+  if (step.action === 'click' || step.action === 'press') {
+    recording.lastActionAt = Date.now();
+  }
+  addRecordedStep(step);
+}
+
+/**
+ * Validate a step received from a recorder message against RECORDED_ACTIONS
+ * @param {*} step - Parsed message
+ * @returns {Object|null} Step with only the expected fields, or null if it is not a recorder step
+ */
+function toRecordedStep(step) {
+  if (!Object.hasOwn(RECORDED_ACTIONS, step?.action)) return null;
+  const fields = RECORDED_ACTIONS[step.action];
+  
+  const recorded = { action: step.action };
+  for (const [name, value] of Object.entries(step)) {
+    if (name === 'action') continue;
+    if (!Object.hasOwn(fields, name) || typeof value !== fields[name]) return null;
+    recorded[name] = value;
+  }
+  if (step.action !== 'scroll' && !recorded.selector) return null;
+  if (step.action === 'type' && recorded.text === undefined) return null;
+  if (step.action === 'select' && recorded.value === undefined) return null;
+  if (step.action === 'press' && !recorded.key) return null;
+  return recorded;
+}
+
+/**
+ * Record a main-frame navigation: part of the last click/key press if it just happened, a goto otherwise
+ * @param {string} url - New URL
+ */
+function recordNavigation(url) {
+  const last = recording.steps[recording.steps.length - 1];
+  if (last && ['click', 'press'].includes(last.action) && Date.now() - recording.lastActionAt < RECORDER_NAVIGATION_WINDOW) {
+    last.navigation = true;
+    recording.lastActionAt = 0;
+    addRecordedStep(null);
+    return;
+  }
+  addRecordedStep({ action: 'goto', url });
+}
+
+/**
+ * Append a recorded step and refresh the editor (one step per line)
+ * @param {Object|null} step - Step to append, or null to only refresh
+ */
+function addRecordedStep(step) {
+  if (step) {
+    recording.steps.push(step);
+    appendLog(`⏺️ Recorded: ${step.action} ${step.selector || step.url || ''}`.trim());
+  }
+  elements.stepsEditor.value = recording.steps.length
+    ? `[\n${recording.steps.map(recorded => '  ' + JSON.stringify(recorded)).join(',\n')}\n]`
+    : '';
+}
+
+/**
+ * Saved interaction scripts by domain
+ * @returns {Object} domain -> steps JSON
+ */
+function readInteractionScripts() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEYS.INTERACTION_SCRIPTS) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Show the saved steps of a domain in the editor
+ * @param {string} domain - Domain
+ */
+function loadStepsForDomain(domain) {
+  // A recording follows the user across domains instead of being replaced by saved steps
+  if (recording) return;
+  stepsDomain = domain;
+  elements.stepsDomain.textContent = domain || '(no domain)';
+  elements.stepsEditor.value = readInteractionScripts()[domain] || '';
+  validateStepsEditor();
+  if (elements.stepsEditor.value) {
+    appendLog(`🎬 Loaded saved interaction steps for ${domain}`);
+  }
+}
+
+/**
+ * Validate the editor contents and show the result
+ * @returns {Promise<Object>} `{ steps, error }` from the main process
+ */
+async function validateStepsEditor() {
+  const result = await window.electronAPI.validateSteps(elements.stepsEditor.value);
+  elements.stepsStatus.classList.toggle('invalid', !!result.error);
+  elements.stepsStatus.textContent = result.error
+    ? `✗ ${result.error}`
+    : result.steps.length ? `✓ ${result.steps.length} step(s)` : '';
+  return result;
+}
+
+/**
+ * Save the editor's steps for the current domain
+ */
+async function handleSaveSteps() {
+  if (!stepsDomain) {
+    showAlert('⚠️ Open a page first: steps are saved per domain.');
+    return;
+  }
+  const { steps, error } = await validateStepsEditor();
+  if (error) {
+    appendLog(`❌ Interaction steps not saved: ${error}`);
+    return;
+  }
+  
+  const scripts = readInteractionScripts();
+  if (steps.length) {
+    scripts[stepsDomain] = elements.stepsEditor.value;
+  } else {
+    delete scripts[stepsDomain];
+  }
+  localStorage.setItem(STORAGE_KEYS.INTERACTION_SCRIPTS, JSON.stringify(scripts));
+  appendLog(`💾 Saved ${steps.length} interaction step(s) for ${stepsDomain}`);
+}
+
+/**
+ * Forget the saved steps of the current domain
+ */
+function handleDeleteSteps() {
+  const scripts = readInteractionScripts();
+  delete scripts[stepsDomain];
+  localStorage.setItem(STORAGE_KEYS.INTERACTION_SCRIPTS, JSON.stringify(scripts));
+  elements.stepsEditor.value = '';
+  validateStepsEditor();
+  appendLog(`🗑️ Deleted interaction steps for ${stepsDomain || 'no domain'}`);
+}
+
+/**
+ * Interaction steps for a clone: the editor's (possibly unsaved) steps for its domain,
+ * otherwise the steps saved for the URL's domain
+ * @param {string} url - URL to clone
+ * @returns {Promise<Object>} `{ steps, error }`
+ */
+async function getStepsForUrl(url) {
+  const domain = extractDomain(url);
+  const source = domain === stepsDomain ? elements.stepsEditor.value : readInteractionScripts()[domain] || '';
+  return window.electronAPI.validateSteps(source);
+}
+
+/**
+ * Remember hreflang alternates found while cloning and offer to queue them
+ * @param {Array<Object>} alternates - `{ hreflang, href }` entries
+ * @param {string} pageUrl - Page the alternates were found on
+ */
+function addLocaleAlternates(alternates, pageUrl) {
+  for (const { hreflang, href } of alternates) {
+    // x-default is the language picker/fallback, and the page itself needs no second clone
+    if (hreflang.toLowerCase() === 'x-default' || href === pageUrl) continue;
+    localeAlternates.set(href, hreflang);
+  }
+  
+  elements.queueAlternatesBtn.style.display = localeAlternates.size ? '' : 'none';
+  elements.queueAlternatesBtn.textContent = `🌐 Queue ${localeAlternates.size} locale variant(s)`;
+}
+
+/**
+ * Clone every discovered hreflang alternate under its own locale, into one subfolder per hreflang
+ */
+function handleQueueAlternates() {
+  const { environment } = readCloneOptions();
+  const alternates = [...localeAlternates];
+  localeAlternates.clear();
+  elements.queueAlternatesBtn.style.display = 'none';
+  
+  appendLog(`🌐 Queueing ${alternates.length} locale variant(s)`);
+  for (const [href, hreflang] of alternates) {
+    const locale = hreflangLocale(hreflang);
+    if (locale === null) {
+      appendLog(`⚠️ Skipped ${href}: hreflang "${hreflang}" is not a valid locale`);
+      continue;
+    }
+    const subfolder = hreflang.replace(/[^a-z0-9_-]/gi, '_');
+    // x-default has no locale of its own: it keeps the environment row's locale
+    autoClonePage(href, 0, { subfolder, environment: locale ? { ...environment, locale } : environment });
+  }
+}
+
+/**
+ * Locale a hreflang value clones with
+ * @param {string} hreflang - hreflang attribute value
+ * @returns {string|null} Canonical locale, '' for x-default (no override), null when invalid
+ */
+function hreflangLocale(hreflang) {
+  const value = String(hreflang || '').trim();
+  if (value.toLowerCase() === 'x-default') return '';
+  try {
+    return Intl.getCanonicalLocales(value)[0] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Render the clone queue panel
+ * @param {Array<Object>} jobs - Jobs in queue order, as listed by the main process
+ */
+function renderCloneQueue(jobs) {
+  cloneQueue = jobs;
+  
+  const count = state => jobs.filter(job => job.state === state).length;
+  elements.queueSummary.textContent = jobs.length
+    ? `📋 Queue: ${count('running')} running, ${count('queued')} queued, ${count('done')} done, ${count('failed')} failed`
+    : '📋 Queue: empty';
+  
+  elements.queueList.replaceChildren(...jobs.map((job) => {
+    const item = document.createElement('li');
+    item.className = `queue-job ${job.state}`;
+    
+    const state = document.createElement('span');
+    state.className = 'job-state';
+    state.textContent = `#${job.id} ${job.state}`;
+    
+    const url = document.createElement('span');
+    url.className = 'job-url';
+    url.textContent = job.url;
+    url.title = job.error ? `${job.url}\n${job.error.split('\n')[0]}` : job.url;
+    
+    const actions = [];
+    if (job.state === 'queued') {
+      actions.push(['up', '↑', 'Move up'], ['down', '↓', 'Move down']);
+    }
+    if (job.state === 'failed' || job.state === 'cancelled') {
+      actions.push(['retry', '↻', 'Retry']);
+    }
+    actions.push(job.state === 'running' ? ['cancel', '✕', 'Cancel'] : ['remove', '✕', 'Remove']);
+    
+    const buttons = actions.map(([action, label, title]) => {
+      const button = document.createElement('button');
+      button.dataset.action = action;
+      button.dataset.jobId = job.id;
+      button.textContent = label;
+      button.title = title;
+      return button;
+    });
+    
+    item.append(state, url, ...buttons);
+    return item;
+  }));
+  
+  updateLogAreaHeight();
+}
+
+/**
+ * Handle a click on a queue job's action button
+ * @param {MouseEvent} e - Click event
+ */
+async function handleQueueAction(e) {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+  
+  const jobId = Number(button.dataset.jobId);
+  switch (button.dataset.action) {
+    case 'up':
+      await window.electronAPI.moveCloneJob(jobId, -1);
+      break;
+    case 'down':
+      await window.electronAPI.moveCloneJob(jobId, 1);
+      break;
+    case 'retry':
+      appendLog(`↻ Retrying job #${jobId}`);
+      await window.electronAPI.retryCloneJob(jobId);
+      break;
+    case 'cancel':
+      appendLog(`⛔ Cancelling job #${jobId}`);
+      await window.electronAPI.cancelClone(jobId);
+      break;
+    case 'remove':
+      await window.electronAPI.removeCloneJob(jobId);
+      break;
+  }
+}
+
 /**
  * Setup clone progress listener
  */
 function setupCloneProgressListener() {
   window.electronAPI.onCloneProgress((progress) => {
+    if (progress.progress) {
+      showProgressBar(); // Ensure progress bar is visible
+      updateProgressBar(progress.progress);
+      logPhaseChange(progress.jobId, progress.progress);
+    }
+
     if (progress.savedResource) {
       const fileName = progress.path ? progress.path.split('/').pop() : 'Unknown file';
       if (progress.status === 'skipped') {
         appendLog(`⏭️ Skipped: ${fileName} (${progress.reason || 'Already exists'})`);
+      } else if (progress.status === 'downloaded' && progress.change === 'changed') {
+        appendLog(`🔄 Updated: ${fileName}`);
       } else if (progress.status === 'downloaded') {
         appendLog(`📥 Downloaded: ${fileName}`);
       } else {
         appendLog(`📁 Saved: ${fileName}`);
       }
-      
-      // Update progress bar if progress data is available
-      if (progress.progress) {
-        showProgressBar(); // Ensure progress bar is visible
-        updateProgressBar(progress.progress);
-      }
     } else if (progress.cookiesApplied) {
       appendLog(`🍪 Applied ${progress.cookiesApplied} cookies`);
-    } else {
+    } else if (progress.pageCaptured) {
+      appendLog(`🕸️ Page ${progress.pagesCaptured} (depth ${progress.depth}): ${progress.pageCaptured} — ${progress.pagesQueued} queued`);
+    } else if (progress.pageSkipped) {
+      appendLog(`⏭️ Skipped page: ${progress.pageSkipped} (${progress.reason})`);
+    } else if (progress.pageFailed) {
+      appendLog(`⚠️ Failed page: ${progress.pageFailed} (${progress.error})`);
+    } else if (progress.missingAssets) {
+      appendLog(`🖼️ Downloading ${progress.missingAssets} srcset/lazy-load images the page did not request`);
+    } else if (progress.skippedResource) {
+      appendLog(`⏭️ Skipped: ${progress.skippedResource} (${progress.reason})`);
+    } else if (progress.pathWarning) {
+      appendLog(`⚠️ Path altered for ${progress.pathWarning}: ${progress.warnings.join('; ')}`);
+    } else if (progress.incremental) {
+      const { added, changed, unchanged, removed } = progress.incremental;
+      appendLog(`🔁 Incremental re-clone: ${added} added, ${changed} changed, ${unchanged} unchanged, ${removed} removed`);
+    } else if (progress.cloneCancelled) {
+      clonePhases.delete(progress.jobId);
+      if (progress.rolledBack) {
+        appendLog(`↩️ Rolled back: ${progress.rolledBack.removed} files removed, ${progress.rolledBack.restored} restored`);
+      }
+    } else if (progress.stepsStartPageOnly) {
+      appendLog(`🎬 ${progress.stepsStartPageOnly} step(s), from the first step that navigates on, run on the start page only (not on crawled pages)`);
+    } else if (progress.interactionStep) {
+      const icon = { done: '▶️', skipped: '⏭️', failed: '⚠️' }[progress.status];
+      const reason = progress.error ? ` (${progress.error})` : '';
+      const stopped = progress.status === 'failed' ? ', remaining steps skipped' : '';
+      appendLog(`${icon} Step ${progress.step}/${progress.steps} ${progress.status}: ${progress.interactionStep}${reason}${stopped}`);
+    } else if (progress.captureSaved) {
+      appendLog(`📸 Saved ${progress.captureSaved} capture: ${progress.path.split(/[\\/]/).pop()}`);
+    } else if (progress.captureFailed) {
+      appendLog(`⚠️ Capture failed on ${progress.captureFailed}: ${progress.error}`);
+    } else if (progress.environmentApplied) {
+      appendLog(`🌍 Capturing with ${progress.environmentApplied}`);
+    } else if (progress.hreflangAlternates) {
+      appendLog(`🌐 ${progress.hreflangAlternates.length} hreflang alternate(s) on ${progress.url}: ${progress.hreflangAlternates.map(alternate => alternate.hreflang).join(', ')}`);
+      addLocaleAlternates(progress.hreflangAlternates, progress.url);
+    } else if (progress.scriptsRewritten) {
+      const scripts = progress.scriptsRewritten;
+      appendLog(`📜 Rewrote ${scripts.references} URL(s) in ${scripts.files} script(s)`);
+      if (scripts.issues) {
+        appendLog(`⚠️ ${scripts.issues} script reference(s) could not be rewritten safely, see logs/js_rewrite_report.json`);
+      }
+    } else if (progress.staticSnapshot) {
+      const snapshot = progress.staticSnapshot;
+      appendLog(`🧊 Static snapshot of ${progress.url}: removed ${snapshot.scripts} script(s), ${snapshot.handlers} event handler(s) and ${snapshot.urls} javascript: URL(s); froze ${snapshot.controls} form control(s) and ${snapshot.canvases} canvas(es)`);
+      if (snapshot.canvasesFailed) {
+        appendLog(`⚠️ ${snapshot.canvasesFailed} canvas(es) hold cross-origin images and could not be saved as images`);
+      }
+    } else if (progress.framesCaptured != null) {
+      const posters = progress.videoPosters ? `, ${progress.videoPosters} video poster(s)` : '';
+      appendLog(`🪟 Saved ${progress.framesCaptured} frame(s)${posters} of ${progress.url}`);
+      for (const failed of progress.framesFailed) {
+        appendLog(`⚠️ Frame ${failed.url} kept its live URL: ${failed.error}`);
+      }
+    } else if (progress.shadowRoots) {
+      appendLog(progress.flattened
+        ? `🧩 Flattened ${progress.flattened} shadow root(s) into the page: ${progress.url}`
+        : `🧩 Saved ${progress.shadowRoots} shadow root(s) as declarative shadow DOM: ${progress.url}`);
+    } else if (progress.runtimeStyles) {
+      const styles = progress.runtimeStyles;
+      appendLog(styles.error
+        ? `⚠️ Could not write runtime styles of ${progress.url}: ${styles.error}`
+        : `🎨 Wrote ${styles.rules} runtime CSS rule(s) into the HTML of ${progress.url} (${styles.styleElements} CSS-in-JS <style>, ${styles.adoptedSheets} adopted sheet(s))`);
+    } else if (progress.waitWarning) {
+      appendLog(`⏳ Wait gave up on ${progress.url}: ${progress.waitWarning} (capturing the page as is)`);
+    } else if (progress.linksStubbed) {
+      appendLog(`🔗 ${progress.linksStubbed} links point to pages that were not cloned`);
+    } else if (!progress.progress) {
       appendLog('[progress] ' + JSON.stringify(progress));
     }
   });
 }
 
 /**
- * Update progress bar with current progress data
+ * Log a clone's phase when it changes
+ * @param {number} jobId - Clone job ID
  * @param {Object} progress - Progress data object
  */
+function logPhaseChange(jobId, progress) {
+  if (clonePhases.get(jobId) === progress.phase) return;
+  if (progress.phase === 'done') {
+    clonePhases.delete(jobId);
+    appendLog(`⏱️ Clone finished in ${formatDuration(progress.elapsedMs)} (${formatBytes(progress.bytes)} saved)`);
+    return;
+  }
+
+  clonePhases.set(jobId, progress.phase);
+  const pageInfo = ['navigating', 'waiting', 'interacting'].includes(progress.phase) && progress.pagesTotal > 1
+    ? ` (page ${progress.pagesDone + 1}/${progress.pagesTotal})`
+    : '';
+  appendLog(`⏱️ ${progress.phaseLabel}${pageInfo}...`);
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} Human-readable size
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Format a duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration as m:ss
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Update progress bar with current progress data
+ * @param {Object} progress - Progress data object (see ProgressTracker.snapshot in the worker)
+ */
 function updateProgressBar(progress) {
   // Show progress container
   elements.progressContainer.style.display = 'block';
   
   // Update overall progress text and stats
-  elements.progressText.textContent = `Processing files... ${progress.percentage}%`;
-  elements.progressStats.textContent = `${progress.processed} files processed (${progress.downloaded} downloaded, ${progress.skipped} skipped)`;
+  const eta = progress.etaMs != null ? `, ~${formatDuration(progress.etaMs)} left` : '';
+  elements.progressText.textContent = `${progress.phaseLabel}... ${progress.percentage}%`;
+  elements.progressStats.textContent = `${progress.processed}/${progress.total} files (${progress.downloaded} downloaded, ${progress.skipped} skipped), ${formatBytes(progress.bytes)}, ${formatDuration(progress.elapsedMs)} elapsed${eta}`;
   
   // Update overall progress bar fill
   elements.overallProgressFill.style.width = `${progress.percentage}%`;
   
-  // Update current file progress if available
-  if (progress.currentFile) {
-    elements.currentFileText.textContent = `Downloading: ${progress.currentFile}`;
-    elements.currentFileProgressFill.style.width = `${progress.currentFileProgress || 0}%`;
-  } else {
-    elements.currentFileText.textContent = 'Ready to download...';
-    elements.currentFileProgressFill.style.width = '0%';
-  }
+  // The second bar follows the current phase
+  const phaseCount = progress.phaseTotal ? ` (${progress.phaseDone}/${progress.phaseTotal})` : '';
+  const currentFile = progress.currentFile ? ` — ${progress.currentFile}` : '';
+  elements.currentFileText.textContent = `${progress.phaseLabel}${phaseCount}${currentFile}`;
+  elements.currentFileProgressFill.style.width = `${progress.phaseProgress}%`;
   
   // Clear any existing timeout
   if (progressHideTimeout) {
@@ -386,7 +1317,8 @@ function updateProgressBar(progress) {
   // Hide progress bar when complete, but wait 10 seconds after the last update
   if (progress.percentage >= 100) {
     progressHideTimeout = setTimeout(() => {
-      elements.progressContainer.style.display = 'none';
+      // Keep the Cancel button reachable while a clone is still running
+      if (clonesInFlight === 0) elements.progressContainer.style.display = 'none';
       progressHideTimeout = null;
     }, 10000); // 10 seconds delay
   }
@@ -434,7 +1366,6 @@ function extractDomain(url) {
  */
 function resetTrackingForNewDomain() {
   lastWatchedUrl = '';
-  cloneQueue = [];
   
   // Clear any pending progress timeouts
   if (progressHideTimeout) {
@@ -458,6 +1389,7 @@ function checkDomainChange(newUrl) {
     
     // Reset all tracking variables
     resetTrackingForNewDomain();
+    loadStepsForDomain(newDomain);
     
     appendLog(`🌐 Domain changed: ${oldDomain || 'none'} → ${newDomain}`);
     appendLog(`🔄 Reset tracking for new domain: ${newDomain}`);
@@ -620,13 +1552,19 @@ async function handleUrlChange(event) {
 
 /**
  * Auto-clone a page when URL changes
+ * @param {string} url - Page URL
+ * @param {number} priority - Queue priority (higher runs first)
+ * @param {Object} overrides - Per-clone overrides
+ * @param {string} overrides.subfolder - Clone into this subfolder of the output folder
+ * @param {Object} overrides.environment - Environment to use instead of the environment row
  */
-async function autoClonePage(url) {
-  const outputDir = elements.outPath.value.trim();
-  if (!outputDir) {
+async function autoClonePage(url, priority = 0, { subfolder = '', environment: environmentOverride = null } = {}) {
+  const selectedDir = elements.outPath.value.trim();
+  if (!selectedDir) {
     appendLog('⚠️ No output folder selected for auto-clone');
     return;
   }
+  const outputDir = subfolder ? `${selectedDir.replace(/[\\/]+$/, '')}/${subfolder}` : selectedDir;
   
   // Generate filename from pathname
   let filename = 'index';
@@ -659,23 +1597,83 @@ async function autoClonePage(url) {
     // Get cookies from Electron for this URL
     const cookies = await window.electronAPI.getCookies(url);
     
-    // Get captured network data for enhanced cloning
-    const networkData = await getCapturedNetworkData();
+    // Get captured network data for enhanced cloning; it belongs to the page in srcView, so other
+    // URLs (hreflang alternates) are cloned without it
+    const networkData = isSourceViewUrl(url) ? await getCapturedNetworkData() : null;
+    
+    // Crawl linked pages too when crawl mode is enabled
+    const { crawl: { enabled: crawlEnabled, ...crawl }, unarchivedLinks, rollbackOnCancel, wait, snapshotMode, shadowDom, videoPosters, rewriteScripts, captures, environment } = readCloneOptions();
+    if (crawlEnabled) {
+      appendLog(`🕸️ Crawling up to ${crawl.maxPages} pages, depth ${crawl.maxDepth}, scope: ${crawl.scope}`);
+    }
+    
+    const { steps, error: stepsError } = await getStepsForUrl(url);
+    if (stepsError) {
+      appendLog(`❌ Clone not started, interaction steps are invalid: ${stepsError}`);
+      return;
+    }
+    if (steps.length) {
+      appendLog(`🎬 Running ${steps.length} interaction step(s) before capture`);
+    }
     
-    const result = await window.electronAPI.startClone({ 
+    // Several device profiles clone side by side into one subfolder each
+    const devices = getSelectedDeviceProfiles();
+    const multiDevice = devices.length > 1;
+    if (multiDevice) {
+      appendLog(`📱 Cloning as ${devices.map(device => device.name).join(', ')} into one folder per device`);
+    }
+    
+    setCloneRunning(devices.length);
+    const outcomes = await Promise.allSettled(devices.map(device => window.electronAPI.startClone({ 
       url, 
-      outputDir, 
+      outputDir: multiDevice ? `${outputDir.replace(/[\\/]+$/, '')}/${device.id}` : outputDir, 
       filename, 
       cookies,
-      networkData // Pass captured network data to the clone worker
-    });
+      networkData, // Pass captured network data to the clone worker
+      crawl: crawlEnabled ? crawl : null,
+      unarchivedLinks,
+      rollbackOnCancel,
+      wait,
+      steps,
+      device,
+      snapshotMode,
+      shadowDom,
+      videoPosters,
+      rewriteScripts,
+      captures,
+      environment: environmentOverride || environment,
+      priority
+    }).finally(() => setCloneRunning(-1))));
     
-    appendLog(`✅ Auto-clone completed: ${result.savedRelativePath}`);
+    outcomes.forEach((outcome, index) => {
+      const label = multiDevice ? ` [${devices[index].name}]` : '';
+      if (outcome.status === 'rejected') {
+        if (String(outcome.reason).includes(CLONE_CANCELLED)) {
+          appendLog(`⛔ Clone cancelled${label}: ${url}`);
+        } else {
+          appendLog(`❌ Auto-clone error${label}: ${outcome.reason}`);
+        }
+        return;
+      }
+      
+      const result = outcome.value;
+      appendLog(`✅ Auto-clone completed${label}: ${result.savedRelativePath}`);
+      if (result.pages && result.pages.length > 1) {
+        appendLog(`🕸️ Crawl saved ${result.pages.length} pages`);
+      }
+      if (result.manifestPath) {
+        appendLog(`📋 Manifest: ${result.manifestPath}`);
+      }
+      if (result.captures && result.captures.length) {
+        addCapturePreviews(result.captures, label);
+      }
+    });
     
-    // Auto-navigate to cloned content if server is running
-    if (serverRunning) {
+    // Auto-navigate to cloned content if server is running (it serves the single-device layout)
+    const first = outcomes[0];
+    if (serverRunning && !multiDevice && !subfolder && first.status === 'fulfilled') {
       const port = elements.portInput.value || '8080';
-      const loadUrl = `http://localhost:${port}/${result.savedRelativePath}`;
+      const loadUrl = `http://localhost:${port}/${first.value.savedRelativePath}`;
       elements.dstUrl.value = loadUrl;
       handleDestinationNavigation();
     }
@@ -685,6 +1683,32 @@ async function autoClonePage(url) {
   }
 }
 
+/**
+ * Track clones in flight and show the Cancel button while any is running
+ * @param {number} delta - +1 when a clone starts, -1 when it settles
+ */
+function setCloneRunning(delta) {
+  clonesInFlight = Math.max(0, clonesInFlight + delta);
+  elements.cancelCloneBtn.style.display = clonesInFlight > 0 ? '' : 'none';
+  elements.cancelCloneBtn.disabled = false;
+  if (clonesInFlight > 0) showProgressBar();
+}
+
+/**
+ * Cancel the clone(s) in flight
+ */
+async function handleCancelClone() {
+  if (clonesInFlight === 0) return;
+  elements.cancelCloneBtn.disabled = true;
+  appendLog('⛔ Cancelling clone...');
+  try {
+    await window.electronAPI.cancelClone();
+  } catch (error) {
+    appendLog('❌ Cancel error: ' + error.message);
+    elements.cancelCloneBtn.disabled = false;
+  }
+}
+
 /**
  * Test server connection
  */
@@ -714,6 +1738,139 @@ async function handleTestServer() {
   await testServerConnection(testUrl);
 }
 
+/**
+ * Setup the visual diff: the Verify button, its progress log and the report list
+ */
+function setupVisualDiff() {
+  elements.verifyBtn.addEventListener('click', handleVerify);
+  elements.verifyList.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-file]');
+    if (!button) return;
+    elements.dstUrl.value = button.dataset.file;
+    elements.dstView.src = button.dataset.file;
+    appendLog(`🖼️ Previewing ${decodeURIComponent(button.dataset.file.split('/').pop())}`);
+  });
+  
+  window.electronAPI.onVerifyProgress((progress) => {
+    if (progress.verifyPage) {
+      elements.verifySummary.textContent = `🔍 Verifying ${progress.page}/${progress.pages}...`;
+      appendLog(`🔍 Verifying ${progress.page}/${progress.pages}: ${progress.verifyPage}`);
+    } else if (progress.verifiedPage) {
+      const page = progress.verifiedPage;
+      if (page.error) {
+        appendLog(`❌ Could not verify ${page.url}: ${page.error}`);
+      } else {
+        appendLog(`${page.mismatchPercent < VERIFY_MATCH_PERCENT ? '✅' : '⚠️'} ${page.mismatchPercent}% of pixels differ on ${page.url}`);
+      }
+      for (const missing of page.localNotFound) {
+        appendLog(`   ↳ 404 in clone: ${missing}`);
+      }
+      elements.verifyList.appendChild(renderVerifiedPage(page));
+      updateLogAreaHeight();
+    }
+  });
+}
+
+/**
+ * Compare the cloned pages in the output folder with the live site
+ */
+async function handleVerify() {
+  const outputDir = elements.outPath.value.trim();
+  if (!outputDir) {
+    appendLog('❌ No output folder selected');
+    showAlert('❌ Please choose an output folder first!\n\nClick the "Choose" button to select a folder.');
+    return;
+  }
+  
+  elements.verifyBtn.disabled = true;
+  elements.verifyList.replaceChildren();
+  elements.verifySummary.textContent = '🔍 Starting visual diff...';
+  elements.verifyPanel.style.display = '';
+  updateLogAreaHeight();
+  appendLog(`🔍 Comparing the clone in ${outputDir} with the live site...`);
+  
+  try {
+    // The live pages load with the source view's cookies, like the clone did
+    const sourceUrl = elements.srcUrl.value.trim();
+    const cookies = sourceUrl ? await window.electronAPI.getCookies(sourceUrl) : [];
+    const report = await window.electronAPI.verifyClone({ outputDir, fullPage: elements.verifyFullPage.checked, cookies });
+    const compared = report.pages.filter(page => !page.error);
+    const differing = compared.filter(page => page.mismatchPercent >= VERIFY_MATCH_PERCENT).length;
+    const missing = report.pages.reduce((sum, page) => sum + page.localNotFound.length, 0);
+    elements.verifySummary.textContent = `🔍 ${compared.length} page(s) compared, ${differing} differ, ${missing} local 404(s)`;
+    appendLog(`📊 Visual diff report saved to ${report.reportPath}`);
+  } catch (error) {
+    elements.verifySummary.textContent = '🔍 Visual diff failed';
+    appendLog(`❌ Visual diff failed: ${String(error).split('\n')[0]}`);
+  } finally {
+    elements.verifyBtn.disabled = false;
+  }
+}
+
+/**
+ * Row of the visual diff report for one page
+ * @param {Object} page - Page report from the verify worker
+ * @returns {HTMLElement} List item
+ */
+function renderVerifiedPage(page) {
+  const item = document.createElement('li');
+  item.className = `queue-job verify-page ${page.error ? 'failed' : page.mismatchPercent < VERIFY_MATCH_PERCENT ? 'match' : 'differs'}`;
+  
+  const state = document.createElement('span');
+  state.className = 'job-state';
+  state.textContent = page.error ? 'failed' : `${page.mismatchPercent}%`;
+  
+  const url = document.createElement('span');
+  url.className = 'job-url';
+  url.textContent = page.url;
+  url.title = page.error ? `${page.url}\n${page.error}` : page.url;
+  
+  const missing = document.createElement('span');
+  missing.className = 'verify-missing';
+  missing.textContent = page.localNotFound.length ? `${page.localNotFound.length} × 404` : '';
+  missing.title = page.localNotFound.join('\n');
+  
+  const buttons = Object.entries(page.files || {}).map(([kind, fileUrl]) => {
+    const button = document.createElement('button');
+    button.dataset.file = fileUrl;
+    button.textContent = { live: 'Live', clone: 'Clone', diff: 'Diff' }[kind];
+    button.title = `Show the ${kind} screenshot`;
+    return button;
+  });
+  
+  item.append(state, url, missing, ...buttons);
+  return item;
+}
+
+/**
+ * List a clone's screenshots/PDFs in the capture preview menu
+ * @param {Array<Object>} captures - Captures from the clone result
+ * @param {string} label - Clone label (device name) shown next to each entry
+ */
+function addCapturePreviews(captures, label) {
+  const names = { viewport: 'Viewport', fullPage: 'Full page', pdf: 'PDF' };
+  for (const capture of captures) {
+    const option = document.createElement('option');
+    option.value = capture.fileUrl;
+    option.textContent = `${names[capture.type] || capture.type}${label}: ${capture.url}`;
+    elements.capturePreview.appendChild(option);
+  }
+  elements.capturePreview.style.display = '';
+  appendLog(`🖼️ ${captures.length} capture(s) ready to preview from the 🖼️ Captures menu`);
+}
+
+/**
+ * Show the chosen capture in the right-hand pane
+ */
+function handleCapturePreview() {
+  const fileUrl = elements.capturePreview.value;
+  if (!fileUrl) return;
+  elements.dstUrl.value = fileUrl;
+  elements.dstView.src = fileUrl;
+  elements.capturePreview.value = '';
+  appendLog(`🖼️ Previewing ${decodeURIComponent(fileUrl.split('/').pop())}`);
+}
+
 /**
  * Handle destination URL navigation
  */
@@ -778,9 +1935,11 @@ async function handleChooseOutput() {
 async function handleToggleServer() {
   const dir = elements.outPath.value || null;
   const port = parseInt(elements.portInput.value || '8080', 10);
+  const replayMode = elements.replayMode.value;
+  const replay = replayMode ? { matchBody: replayMode === 'replay-body' } : null;
   
   try {
-    const result = await window.electronAPI.toggleServer({ dir, port });
+    const result = await window.electronAPI.toggleServer({ dir, port, replay });
     serverRunning = result.running;
     elements.toggleServerBtn.textContent = serverRunning ? 'Stop Server' : 'Start Server';
     
@@ -791,6 +1950,9 @@ async function handleToggleServer() {
         appendLog(`⚠️ Port ${result.originalPort} was in use, using port ${result.port} instead`);
       }
       appendLog(`Server started on ${result.url}`);
+      if (result.replay) {
+        appendLog(`📼 Replaying ${result.replay.calls} recorded API call(s) from ${result.replay.origins.join(', ') || 'no origin'}`);
+      }
       
       // Auto-navigate to static server when started
       if (result.url) {
@@ -927,6 +2089,16 @@ async function captureNetworkRequests(url) {
   }
 }
 
+/**
+ * Check whether a URL is the page loaded in srcView (fragments ignored)
+ * @param {string} url - URL to check
+ * @returns {boolean} True if srcView shows that page
+ */
+function isSourceViewUrl(url) {
+  const withoutHash = value => String(value || '').split('#')[0];
+  return !!url && withoutHash(elements.srcView.getURL?.()) === withoutHash(url);
+}
+
 /**
  * Retrieve captured network data from the webview
  * @returns {Object} Captured network data
@@ -997,8 +2169,8 @@ async function handleClone() {
       }
     }
     
-    // Clone current page immediately
-    await autoClonePage(currentURL);
+    // Clone current page immediately, ahead of pages queued by navigation
+    await autoClonePage(currentURL, 1);
     
   } else {
     // Stop watching
@@ -1013,6 +2185,11 @@ async function handleClone() {
     }
     elements.cloneBtn.style.background = '';
     appendLog('⏹️ Watch mode OFF - Auto-cloning disabled');
+    
+    // Stop the clone watch mode started
+    if (clonesInFlight > 0) {
+      await handleCancelClone();
+    }
   }
 }
 
@@ -1186,7 +2363,8 @@ function handleClearSettings() {
     `This will clear:\n` +
     `• Last URL\n` +
     `• Last output directory\n` +
-    `• Last port\n\n` +
+    `• Last port\n` +
+    `• Clone options\n\n` +
     `Click "OK" to clear, or "Cancel" to keep settings.`
   );
   
@@ -1195,6 +2373,8 @@ function handleClearSettings() {
     localStorage.removeItem(STORAGE_KEYS.LAST_URL);
     localStorage.removeItem(STORAGE_KEYS.LAST_OUTPUT_DIR);
     localStorage.removeItem(STORAGE_KEYS.LAST_PORT);
+    localStorage.removeItem(STORAGE_KEYS.CLONE_OPTIONS);
+    localStorage.removeItem(STORAGE_KEYS.QUEUE_CONCURRENCY);
     
     // Clear form fields
     elements.srcUrl.value = '';
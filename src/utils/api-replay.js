@@ -0,0 +1,230 @@
+import fs from 'fs-extra';
+
+// Path prefix the instrumented page sends cross-origin API calls to: /__api/<scheme>/<host>/<path>
+const ROUTE_PREFIX = '/__api/';
+
+// Recorded response headers that do not describe the replayed body or belong to the live connection
+const SKIPPED_HEADERS = [
+  'content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive',
+  'set-cookie', 'date', 'age', 'alt-svc', 'strict-transport-security', 'content-security-policy'
+];
+
+/**
+ * Runs in the cloned page: send fetch/XHR calls to recorded API origins to the local server
+ * instead. Must stay self-contained (it is injected as source).
+ * @param {Array<string>} origins - Origins with recorded API responses
+ * @param {string} prefix - Local route prefix (ROUTE_PREFIX)
+ */
+function routeApiCalls(origins, prefix) {
+  const route = (url) => {
+    let parsed;
+    try {
+      parsed = new URL(String(url), document.baseURI);
+    } catch {
+      return url;
+    }
+    if (parsed.origin === location.origin || !origins.includes(parsed.origin)) return url;
+    return `${location.origin}${prefix}${parsed.protocol.slice(0, -1)}/${parsed.host}${parsed.pathname}${parsed.search}`;
+  };
+
+  const fetch = window.fetch;
+  window.fetch = function (input, init) {
+    if (input instanceof Request) {
+      const routed = route(input.url);
+      return fetch.call(this, routed === input.url ? input : new Request(routed, input), init);
+    }
+    return fetch.call(this, route(input), init);
+  };
+
+  const open = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+    return open.call(this, method, route(url), ...rest);
+  };
+}
+
+/**
+ * Canonical form of a query string: parameters sorted, so their order does not matter
+ * @param {string|URLSearchParams} query - Query string (with or without '?')
+ * @returns {Array<string>} Sorted `key=value` pairs
+ */
+function normalizeQuery(query) {
+  return [...new URLSearchParams(query)].map(([key, value]) => `${key}=${value}`).sort();
+}
+
+/**
+ * Canonical form of a request body: JSON re-serialized with sorted keys, anything else as is
+ * @param {string} body - Request body
+ * @returns {string} Normalized body ('' for none)
+ */
+function normalizeBody(body) {
+  if (!body) return '';
+  const sortKeys = value => (value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]))
+    : Array.isArray(value) ? value.map(sortKeys) : value);
+  try {
+    return JSON.stringify(sortKeys(JSON.parse(body)));
+  } catch {
+    return String(body);
+  }
+}
+
+/**
+ * Replays the XHR/fetch responses recorded in logs/api_logs.json so a cloned SPA keeps working
+ * without its backend. Requests match recorded calls on method and path, then on the query string
+ * (exact, else the closest one) and optionally on the request body. Repeated calls to the same
+ * endpoint get its recorded responses in order, the last one repeating.
+ */
+class ApiReplay {
+  /**
+   * @param {Array<Object>} entries - Recorded calls: `{ method, url, postData, status, responseHeaders, responseText }`
+   * @param {Object} options - Replay options
+   * @param {boolean} options.matchBody - Also require the same request body
+   */
+  constructor(entries = [], { matchBody = false } = {}) {
+    this.matchBody = matchBody;
+    this.routes = new Map(); // 'METHOD origin path' -> recorded calls, in recorded order
+    this.served = new Map(); // recorded call group -> times served
+    this.origins = new Set();
+
+    for (const entry of entries) {
+      let parsed;
+      try {
+        parsed = new URL(entry.url);
+      } catch {
+        continue;
+      }
+      if (!/^https?:$/.test(parsed.protocol)) continue;
+
+      const key = ApiReplay.routeKey(entry.method, parsed.origin, parsed.pathname);
+      if (!this.routes.has(key)) this.routes.set(key, []);
+      this.routes.get(key).push({
+        entry,
+        origin: parsed.origin,
+        query: normalizeQuery(parsed.search),
+        body: normalizeBody(entry.postData)
+      });
+      this.origins.add(parsed.origin);
+    }
+  }
+
+  /**
+   * Load a clone's recorded API calls
+   * @param {string} logsPath - Path of api_logs.json
+   * @param {Object} options - Replay options (see constructor)
+   * @returns {Promise<ApiReplay>} Replay over the recorded calls
+   * @throws {Error} If the file is missing or is not a list of calls
+   */
+  static async load(logsPath, options = {}) {
+    if (!(await fs.pathExists(logsPath))) {
+      throw new Error(`No recorded API calls at ${logsPath}`);
+    }
+    const entries = await fs.readJson(logsPath);
+    if (!Array.isArray(entries)) {
+      throw new Error(`${logsPath} is not a list of recorded API calls`);
+    }
+    return new ApiReplay(entries, options);
+  }
+
+  /**
+   * @param {string} method - HTTP method
+   * @param {string} origin - Request origin
+   * @param {string} pathname - Request path
+   * @returns {string} Route key
+   */
+  static routeKey(method, origin, pathname) {
+    return `${String(method || 'GET').toUpperCase()} ${origin} ${pathname}`;
+  }
+
+  /**
+   * Number of recorded calls
+   * @returns {number} Calls that can be replayed
+   */
+  get size() {
+    return [...this.routes.values()].reduce((total, calls) => total + calls.length, 0);
+  }
+
+  /**
+   * Split a request path of the local server into the API URL it stands for
+   * @param {string} requestPath - Path (and query) received by the local server
+   * @returns {Object|null} `{ origin, pathname }` for routed calls (see ROUTE_PREFIX), or null
+   */
+  static parseRoutedPath(requestPath) {
+    if (!requestPath.startsWith(ROUTE_PREFIX)) return null;
+    const match = requestPath.slice(ROUTE_PREFIX.length).match(/^(https?)\/([^/?#]+)(\/[^?#]*)?/);
+    if (!match) return null;
+    return { origin: `${match[1]}://${match[2]}`, pathname: match[3] || '/' };
+  }
+
+  /**
+   * Find the recorded response for a request
+   * @param {Object} request - Incoming request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.origin - API origin, or null to match any recorded origin (same-origin calls of the clone)
+   * @param {string} request.pathname - Request path
+   * @param {string} request.search - Query string
+   * @param {string} request.body - Request body
+   * @returns {Object|null} `{ entry, exact }` (exact false when only the query string was approximated), or null
+   */
+  match({ method, origin = null, pathname, search = '', body = '' }) {
+    const origins = origin ? [origin] : [...this.origins];
+    let candidates = origins.flatMap(candidate => this.routes.get(ApiReplay.routeKey(method, candidate, pathname)) || []);
+    if (this.matchBody) {
+      const normalized = normalizeBody(body);
+      candidates = candidates.filter(call => call.body === normalized);
+    }
+    if (!candidates.length) return null;
+
+    // Exact query first, else the recorded call sharing the most parameters (cache busters, timestamps)
+    const query = normalizeQuery(search);
+    const distance = call => call.query.filter(pair => !query.includes(pair)).length
+      + query.filter(pair => !call.query.includes(pair)).length;
+    const best = Math.min(...candidates.map(distance));
+    const group = candidates.filter(call => distance(call) === best);
+
+    const groupKey = `${ApiReplay.routeKey(method, group[0].origin, pathname)} ${group[0].query.join('&')} ${group[0].body}`;
+    const served = this.served.get(groupKey) || 0;
+    this.served.set(groupKey, served + 1);
+    return { entry: group[Math.min(served, group.length - 1)].entry, exact: best === 0 };
+  }
+
+  /**
+   * Response headers to replay: the recorded ones minus transport headers, or a guessed content type
+   * for logs recorded without headers
+   * @param {Object} entry - Recorded call
+   * @returns {Object} Header name -> value
+   */
+  static responseHeaders(entry) {
+    const headers = {};
+    for (const [name, value] of Object.entries(entry.responseHeaders || {})) {
+      const lower = name.toLowerCase();
+      if (!SKIPPED_HEADERS.includes(lower) && !lower.startsWith('access-control-')) headers[lower] = value;
+    }
+    if (!headers['content-type']) {
+      let json = false;
+      try {
+        JSON.parse(entry.responseText);
+        json = true;
+      } catch {}
+      headers['content-type'] = json ? 'application/json; charset=utf-8' : 'text/plain; charset=utf-8';
+    }
+    return headers;
+  }
+
+  /**
+   * Add the routing script to a page, ahead of the page's own scripts
+   * @param {string} html - Page HTML
+   * @returns {string} Instrumented HTML
+   */
+  instrument(html) {
+    const script = `<script data-cloner-replay>(${routeApiCalls.toString()})(${JSON.stringify([...this.origins])}, ${JSON.stringify(ROUTE_PREFIX)});</script>`;
+    const head = html.match(/<head\b[^>]*>/i);
+    if (head) {
+      const index = head.index + head[0].length;
+      return html.slice(0, index) + script + html.slice(index);
+    }
+    const doctype = html.match(/^\s*<!doctype[^>]*>/i);
+    return doctype ? doctype[0] + script + html.slice(doctype[0].length) : script + html;
+  }
+}
+
+export default ApiReplay;
@@ -0,0 +1,119 @@
+// Allowed values of the media emulation options ('' = browser default)
+const COLOR_SCHEMES = ['', 'light', 'dark'];
+const REDUCED_MOTION = ['', 'reduce', 'no-preference'];
+const MEDIA_TYPES = ['', 'screen', 'print'];
+
+/**
+ * Locale, timezone and media features a page is captured under. Applied through Puppeteer's
+ * emulation APIs, the CDP locale override and the Accept-Language header, and recorded in the
+ * clone's manifest so a clone says which market/theme it shows.
+ */
+class CaptureEnvironment {
+  /**
+   * Validate environment options
+   * @param {Object} options - Environment options
+   * @param {string} options.locale - BCP 47 locale (e.g. "fr-FR"), '' for the browser default
+   * @param {string} options.timezone - IANA timezone (e.g. "Europe/Paris"), '' for the system timezone
+   * @param {string} options.colorScheme - prefers-color-scheme: 'light', 'dark' or ''
+   * @param {string} options.reducedMotion - prefers-reduced-motion: 'reduce', 'no-preference' or ''
+   * @param {string} options.media - CSS media type: 'screen', 'print' or ''
+   * @returns {Object} Normalized environment
+   * @throws {Error} If a value is not supported
+   */
+  static normalize(options = {}) {
+    const environment = {
+      locale: String(options.locale || '').trim(),
+      timezone: String(options.timezone || '').trim(),
+      colorScheme: options.colorScheme || '',
+      reducedMotion: options.reducedMotion || '',
+      media: options.media || ''
+    };
+
+    if (environment.locale) {
+      try {
+        [environment.locale] = Intl.getCanonicalLocales(environment.locale);
+      } catch {
+        throw new Error(`Invalid locale "${environment.locale}"`);
+      }
+    }
+    if (environment.timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: environment.timezone });
+      } catch {
+        throw new Error(`Invalid timezone "${environment.timezone}"`);
+      }
+    }
+    if (!COLOR_SCHEMES.includes(environment.colorScheme)) {
+      throw new Error(`Invalid color scheme "${environment.colorScheme}"`);
+    }
+    if (!REDUCED_MOTION.includes(environment.reducedMotion)) {
+      throw new Error(`Invalid reduced motion preference "${environment.reducedMotion}"`);
+    }
+    if (!MEDIA_TYPES.includes(environment.media)) {
+      throw new Error(`Invalid media type "${environment.media}"`);
+    }
+    return environment;
+  }
+
+  /**
+   * Accept-Language header for a locale: the locale first, then its language
+   * @param {string} locale - Canonical locale
+   * @returns {string} Header value ('' without a locale)
+   */
+  static acceptLanguage(locale) {
+    if (!locale) return '';
+    const language = locale.split('-')[0];
+    return language === locale ? locale : `${locale},${language};q=0.9`;
+  }
+
+  /**
+   * Apply an environment to a page before it navigates
+   * @param {Object} page - Puppeteer page
+   * @param {Object} client - CDP session of the page
+   * @param {Object} environment - Normalized environment
+   */
+  static async apply(page, client, environment) {
+    const { locale, timezone, colorScheme, reducedMotion, media } = environment;
+
+    if (locale) {
+      const languages = CaptureEnvironment.acceptLanguage(locale).split(',').map(entry => entry.split(';')[0]);
+      await page.setExtraHTTPHeaders({ 'Accept-Language': CaptureEnvironment.acceptLanguage(locale) });
+      // Intl formatting follows the CDP override; navigator.language(s) need a script override
+      await client.send('Emulation.setLocaleOverride', { locale });
+      await page.evaluateOnNewDocument((values) => {
+        Object.defineProperty(navigator, 'language', { get: () => values[0] });
+        Object.defineProperty(navigator, 'languages', { get: () => values });
+      }, languages);
+    }
+    if (timezone) {
+      await page.emulateTimezone(timezone);
+    }
+
+    const features = [];
+    if (colorScheme) features.push({ name: 'prefers-color-scheme', value: colorScheme });
+    if (reducedMotion) features.push({ name: 'prefers-reduced-motion', value: reducedMotion });
+    if (features.length) {
+      await page.emulateMediaFeatures(features);
+    }
+    if (media) {
+      await page.emulateMediaType(media);
+    }
+  }
+
+  /**
+   * Short description for logs
+   * @param {Object} environment - Normalized environment
+   * @returns {string} Description ('' when everything is the browser default)
+   */
+  static describe(environment) {
+    return [
+      environment.locale,
+      environment.timezone,
+      environment.colorScheme && `${environment.colorScheme} scheme`,
+      environment.reducedMotion && `motion: ${environment.reducedMotion}`,
+      environment.media && `${environment.media} media`
+    ].filter(Boolean).join(', ');
+  }
+}
+
+export default CaptureEnvironment;
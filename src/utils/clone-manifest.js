@@ -0,0 +1,284 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+
+// Manifest file name, written in the clone's output directory next to logs/
+const MANIFEST_FILE = 'manifest.json';
+
+// Bump when the manifest layout changes in a way consumers need to know about
+const MANIFEST_VERSION = 1;
+
+// Resource types the clone may revalidate when it downloads them itself (never on the page's own
+// requests, which need full bodies to render): their body is stored as is, not processed this run
+const REVALIDATED_TYPES = ['image', 'font', 'media'];
+
+/**
+ * Machine-readable description of a clone output folder: every saved resource and page plus the
+ * metadata of the latest run. Constructed with the previous manifest it classifies each resource as
+ * added, changed or unchanged for incremental re-clones, and keeps the pages and resources of
+ * earlier runs into the same folder (watch mode, several clones) that this run did not touch.
+ */
+class CloneManifest {
+  /**
+   * @param {string} baseOut - Clone output directory (paths in the manifest are relative to it)
+   * @param {Object} run - Run metadata
+   * @param {string} run.startUrl - URL the clone started from
+   * @param {Object} run.options - Options the clone ran with (no cookies or HTML bodies)
+   * @param {Object|null} run.previous - Manifest of the previous clone into the same directory
+   * @param {Object} run.environment - Locale, timezone and media features the pages were captured under
+   */
+  constructor(baseOut, { startUrl, options = {}, previous = null, environment = null } = {}) {
+    this.baseOut = path.resolve(baseOut);
+    this.startUrl = startUrl;
+    this.options = options;
+    this.environment = environment;
+    this.startedAt = new Date();
+    this.resources = new Map(); // url -> resource entry
+    this.changes = new Map(); // url -> 'added' | 'changed' | 'unchanged'
+    this.requested = new Set(); // URLs this run asked for, saved or not
+    this.previous = new Map((previous?.resources || []).map(entry => [entry.url, entry]));
+    this.previousPages = previous?.pages || [];
+    this.pages = [];
+  }
+
+  /**
+   * Path of the manifest file of a clone
+   * @param {string} baseOut - Clone output directory
+   * @returns {string} Manifest file path
+   */
+  static getPath(baseOut) {
+    return path.join(path.resolve(baseOut), MANIFEST_FILE);
+  }
+
+  /**
+   * Read the manifest of a previous clone
+   * @param {string} baseOut - Clone output directory
+   * @returns {Promise<Object|null>} Parsed manifest or null if missing/unreadable
+   */
+  static async load(baseOut) {
+    try {
+      return await fs.readJson(CloneManifest.getPath(baseOut));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * SHA-256 of a buffer or string
+   * @param {Buffer|string} content - Content to hash
+   * @returns {string} Hex digest
+   */
+  static sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Conditional request headers for revalidating a previously saved resource
+   * @param {Object} entry - Resource entry from a previous manifest
+   * @returns {Object} `If-None-Match` / `If-Modified-Since` headers (empty if the server sent neither validator)
+   */
+  static conditionalHeaders(entry) {
+    const headers = {};
+    const responseHeaders = entry?.headers || {};
+    if (responseHeaders.etag) headers['If-None-Match'] = responseHeaders.etag;
+    if (responseHeaders['last-modified']) headers['If-Modified-Since'] = responseHeaders['last-modified'];
+    return headers;
+  }
+
+  /**
+   * Check whether a resource type may be revalidated with conditional requests
+   * @param {string} resourceType - Puppeteer resource type
+   * @returns {boolean} True for types whose body the clone does not need to process
+   */
+  static canRevalidate(resourceType) {
+    return REVALIDATED_TYPES.includes(resourceType);
+  }
+
+  /**
+   * Entry of a resource in the previous clone's manifest
+   * @param {string} url - Source URL
+   * @returns {Object|undefined} Previous resource entry
+   */
+  getPrevious(url) {
+    return this.previous.get(url);
+  }
+
+  /**
+   * Absolute path of a manifest entry
+   * @param {Object} entry - Resource or page entry
+   * @returns {string} Local path
+   */
+  resolve(entry) {
+    return path.join(this.baseOut, ...entry.path.split('/'));
+  }
+
+  /**
+   * Path relative to the output directory, with forward slashes
+   * @param {string} localPath - Absolute local path
+   * @returns {string} Relative path
+   */
+  relative(localPath) {
+    return path.relative(this.baseOut, localPath).split(path.sep).join('/');
+  }
+
+  /**
+   * Record a saved resource (a later entry for the same URL replaces the earlier one)
+   * @param {Object} resource - Resource details
+   * @param {string} resource.url - Source URL
+   * @param {string} resource.localPath - Absolute local path
+   * @param {string} resource.resourceType - Puppeteer resource type
+   * @param {string} resource.mimeType - Content-Type of the response
+   * @param {number} resource.status - HTTP status
+   * @param {Buffer} resource.buffer - Response body as received
+   * @param {string} resource.sha256 - SHA-256 of the body, when the caller already has it
+   * @param {Object} resource.headers - Response headers
+   * @returns {string} 'added', 'changed' or 'unchanged' compared with the previous clone
+   */
+  addResource({ url, localPath, resourceType = '', mimeType = '', status = null, buffer, sha256, headers = {} }) {
+    const digest = sha256 || CloneManifest.sha256(buffer);
+    const previous = this.previous.get(url);
+    const change = !previous ? 'added' : previous.sha256 === digest ? 'unchanged' : 'changed';
+
+    this.changes.set(url, change);
+    this.resources.set(url, {
+      url,
+      path: this.relative(localPath),
+      type: resourceType,
+      mimeType: String(mimeType || '').split(';')[0].trim(),
+      status,
+      size: buffer.length,
+      sha256: digest,
+      headers,
+      timestamp: new Date().toISOString()
+    });
+    return change;
+  }
+
+  /**
+   * Note that this run requested a URL; a previous resource that was requested but not saved again is gone
+   * @param {string} url - Requested URL
+   */
+  markRequested(url) {
+    this.requested.add(url);
+  }
+
+  /**
+   * Check whether a previous resource was requested in this run and is now gone
+   * @param {string} url - Source URL
+   * @returns {boolean} True if it was requested but neither saved nor revalidated
+   */
+  isRemoved(url) {
+    return this.previous.has(url) && this.requested.has(url) && !this.resources.has(url);
+  }
+
+  /**
+   * Carry a previous entry over unchanged (the server answered a conditional request with 304)
+   * @param {Object} entry - Resource entry from the previous manifest
+   */
+  keepResource(entry) {
+    this.changes.set(entry.url, 'unchanged');
+    this.resources.set(entry.url, { ...entry, revalidatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Compare this run with the previous clone
+   * @returns {Object} `{ added, changed, unchanged, removed }` lists of URLs
+   */
+  summarizeChanges() {
+    const summary = { added: [], changed: [], unchanged: [], removed: [] };
+    for (const [url, change] of this.changes) {
+      summary[change].push(url);
+    }
+    // Resources of pages this run did not visit are not gone, only not looked at
+    for (const url of this.previous.keys()) {
+      if (this.isRemoved(url)) summary.removed.push(url);
+    }
+    return summary;
+  }
+
+  /**
+   * Record a captured page, with the device, environment and wait options it was captured under
+   * (run metadata only describes the latest run, pages of earlier runs may differ)
+   * @param {Object} page - Page details
+   * @param {string} page.url - Requested URL
+   * @param {string} page.finalUrl - URL after redirects
+   * @param {number} page.depth - Crawl depth
+   * @param {number} page.status - HTTP status of the navigation
+   * @param {string} page.localPath - Absolute path of the rewritten HTML
+   * @param {string} page.html - Rewritten HTML as written
+   * @param {Array<Object>} page.alternates - hreflang alternates: `{ hreflang, href }`
+   * @param {Array<Object>} page.captures - Screenshots/PDF saved for the page: `{ type, savedFullPath }`
+   * @param {Array<Object>} page.frames - Child frames: `{ url, video, savePath }` documents or `{ url, video, posterPath }` video posters
+   */
+  addPage({ url, finalUrl, depth = 0, status = null, localPath, html, alternates = [], captures = [], frames = [] }) {
+    this.pages.push({
+      url,
+      finalUrl,
+      depth,
+      status,
+      path: this.relative(localPath),
+      size: Buffer.byteLength(html),
+      sha256: CloneManifest.sha256(html),
+      alternates,
+      device: this.options.device ?? null,
+      environment: this.environment,
+      wait: this.options.wait ?? null,
+      captures: captures.map(capture => ({ type: capture.type, path: this.relative(capture.savedFullPath) })),
+      frames: frames.map((frame) => {
+        const framePath = frame.savePath || frame.posterPath;
+        return { url: frame.url, type: frame.video ? 'video-poster' : 'document', path: framePath ? this.relative(framePath) : null };
+      })
+    });
+  }
+
+  /**
+   * Pages of earlier runs that this run did not capture again
+   * @returns {Array<Object>} Page entries
+   */
+  getPreviousPages() {
+    const captured = new Set(this.pages.flatMap(page => [page.url, page.finalUrl, page.path]));
+    return this.previousPages.filter(page => ![page.url, page.finalUrl, page.path].some(key => captured.has(key)));
+  }
+
+  /**
+   * Resources of earlier runs that this run did not request
+   * @returns {Array<Object>} Resource entries
+   */
+  getPreviousResources() {
+    return [...this.previous.values()].filter(entry => !this.resources.has(entry.url) && !this.isRemoved(entry.url));
+  }
+
+  /**
+   * Plain object written to manifest.json
+   * @returns {Object} Manifest contents
+   */
+  toJSON() {
+    const finishedAt = this.finishedAt || new Date();
+    return {
+      version: MANIFEST_VERSION,
+      startUrl: this.startUrl,
+      finalUrl: this.pages[0]?.finalUrl || this.startUrl,
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - this.startedAt,
+      options: this.options,
+      environment: this.environment,
+      changes: this.previous.size ? this.summarizeChanges() : null,
+      pages: [...this.pages, ...this.getPreviousPages()],
+      resources: [...this.resources.values(), ...this.getPreviousResources()]
+    };
+  }
+
+  /**
+   * Write manifest.json into the output directory
+   * @returns {Promise<string>} Manifest file path
+   */
+  async save() {
+    this.finishedAt = new Date();
+    const manifestPath = CloneManifest.getPath(this.baseOut);
+    await fs.outputJson(manifestPath, this.toJSON(), { spaces: 2 });
+    return manifestPath;
+  }
+}
+
+export default CloneManifest;
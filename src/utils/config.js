@@ -5,7 +5,11 @@ export default {
   // Default server configuration
   server: {
     defaultPort: 8080,
-    maxPort: 65535
+    maxPort: 65535,
+    // API replay mode (recorded XHR/fetch responses from logs/api_logs.json)
+    replay: {
+      matchBody: false // also require the same request body, not only method, path and query
+    }
   },
 
   // Puppeteer configuration
@@ -20,8 +24,46 @@ export default {
       '--no-zygote',
       '--disable-gpu'
     ],
-    timeout: 90000,
-    waitForTimeout: 3000
+    timeout: 90000, // navigation + settle budget per page
+    waitForTimeout: 3000, // fixed delay before capture
+    // How a page settles before capture (per-clone wait options override these)
+    wait: {
+      idleTime: 500, // ms without network activity that count as idle
+      idleConnections: 2, // requests that may still be in flight (2 = networkidle2)
+      selector: '', // CSS selector to wait for
+      function: '', // JS expression to wait to become truthy
+      autoScroll: false, // scroll through the page for lazy/infinite-scroll content
+      scrollStep: 0, // pixels per scroll step, 0 = one viewport height
+      maxScrolls: 50
+    }
+  },
+
+  // Multi-page crawl defaults
+  crawl: {
+    maxDepth: 2,
+    maxPages: 50,
+    scope: 'host', // 'host' or 'path'
+    include: [],
+    exclude: []
+  },
+
+  // Clone job queue (main process)
+  queue: {
+    concurrency: 1, // clones (Chromium instances) running at once
+    keepFinished: 50 // finished jobs kept in the queue panel
+  },
+
+  // Link rewriting between cloned pages
+  links: {
+    unarchived: 'stub' // 'stub' (redirect to a local notice), 'mark' (keep live href, add data attribute) or 'keep'
+  },
+
+  // How captured pages are serialized
+  snapshot: {
+    mode: 'keep-js', // 'keep-js' (scripts saved and rewritten) or 'static' (scripts stripped, form state and canvases baked in)
+    shadowDom: 'declarative', // 'declarative' (<template shadowrootmode>) or 'flatten' (shadow trees merged into the light DOM)
+    videoPosters: false, // replace YouTube/Vimeo/... embeds with a screenshot linking to the video
+    rewriteScripts: false // rewrite URLs inside saved scripts (module imports, chunk URLs, CDN URLs)
   },
 
   // File processing configuration
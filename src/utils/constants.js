@@ -40,6 +40,12 @@ export default {
     WAIT_FOR_TIMEOUT: 3000
   },
   
+  // Attribute linking an <iframe> of a captured document to the frame captured from it (removed when the page is rewritten)
+  FRAME_ATTRIBUTE: 'data-cloner-frame',
+  
+  // Rejection reason of a start-clone call that was cancelled
+  CLONE_CANCELLED: 'clone-cancelled',
+  
   // UI messages
   MESSAGES: {
     NO_SOURCE_URL: 'No source URL provided',
@@ -0,0 +1,49 @@
+/**
+ * Normalize domain for cookie setting
+ * @param {string} domain - Domain to normalize
+ * @returns {string|undefined} Normalized domain
+ */
+function normalizeDomain(domain) {
+  if (!domain) return undefined;
+  return domain.startsWith('.') ? domain.slice(1) : domain;
+}
+
+/**
+ * Map SameSite cookie attribute
+ * @param {string} value - SameSite value
+ * @returns {string} Mapped SameSite value
+ */
+function mapSameSite(value) {
+  if (!value) return 'Lax';
+  const s = String(value).toLowerCase();
+  if (s.includes('strict')) return 'Strict';
+  if (s.includes('none')) return 'None';
+  return 'Lax';
+}
+
+/**
+ * Electron session cookies (as returned by the `get-cookies` IPC) in Puppeteer's format, shared by
+ * the clone and verify workers so both load pages with the source view's login state
+ */
+class CookieMapper {
+  /**
+   * Convert Electron cookies for page.setCookie()
+   * @param {Array<Object>} cookies - Electron cookies
+   * @param {string} pageUrl - URL whose host is used for cookies without a domain
+   * @returns {Array<Object>} Puppeteer cookie parameters
+   */
+  static toPuppeteer(cookies, pageUrl) {
+    return cookies.map(cookie => ({
+      name: cookie.name,
+      value: cookie.value,
+      domain: normalizeDomain(cookie.domain || new URL(pageUrl).hostname),
+      path: cookie.path || '/',
+      httpOnly: !!cookie.httpOnly,
+      secure: !!cookie.secure,
+      sameSite: mapSameSite(cookie.sameSite),
+      expires: cookie.expirationDate ? Math.floor(cookie.expirationDate) : undefined
+    }));
+  }
+}
+
+export default CookieMapper;
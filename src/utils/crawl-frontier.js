@@ -0,0 +1,137 @@
+import path from 'path';
+
+// Extensions that are worth opening as pages; anything else (pdf, zip, images...) is left to the asset capture
+const PAGE_EXTENSIONS = ['', '.html', '.htm', '.xhtml', '.php', '.asp', '.aspx', '.jsp', '.cfm', '.shtml'];
+
+/**
+ * Breadth-first crawl queue with scope, pattern and depth controls
+ */
+class CrawlFrontier {
+  /**
+   * @param {string} startUrl - URL the crawl starts from
+   * @param {Object} options - Crawl options
+   * @param {number} options.maxDepth - Maximum link depth from the start page
+   * @param {string} options.scope - 'host' (same hostname) or 'path' (same origin and path prefix)
+   * @param {Array<string>} options.include - URL patterns a page must match (empty = all)
+   * @param {Array<string>} options.exclude - URL patterns that exclude a page
+   */
+  constructor(startUrl, options = {}) {
+    const start = new URL(startUrl);
+    this.maxDepth = Number.isFinite(options.maxDepth) ? options.maxDepth : 0;
+    this.scope = options.scope === 'path' ? 'path' : 'host';
+    this.include = (options.include || []).map(CrawlFrontier.compilePattern).filter(Boolean);
+    this.exclude = (options.exclude || []).map(CrawlFrontier.compilePattern).filter(Boolean);
+    this.origin = start.origin;
+    this.hostname = start.hostname.toLowerCase();
+    this.pathPrefix = start.pathname.endsWith('/')
+      ? start.pathname
+      : start.pathname.slice(0, start.pathname.lastIndexOf('/') + 1);
+    this.queue = [];
+    this.seen = new Set();
+    this.startUrl = this.normalize(startUrl);
+  }
+
+  /**
+   * Compile a user pattern: `/regex/flags` is used as a RegExp, anything else is a glob where `*` matches any run
+   * @param {string} pattern - Pattern string
+   * @returns {RegExp|null} Compiled pattern
+   */
+  static compilePattern(pattern) {
+    const source = String(pattern || '').trim();
+    if (!source) return null;
+
+    const regexMatch = source.match(/^\/(.+)\/([a-z]*)$/i);
+    if (regexMatch) {
+      try {
+        return new RegExp(regexMatch[1], regexMatch[2]);
+      } catch (error) {
+        console.warn('Invalid crawl pattern:', source, error.message);
+        return null;
+      }
+    }
+
+    const escaped = source.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(escaped, 'i');
+  }
+
+  /**
+   * Normalize a page URL so the same page is only visited once
+   * @param {string} url - URL to normalize
+   * @returns {string|null} Normalized URL or null if not an http(s) URL
+   */
+  normalize(url) {
+    try {
+      const parsed = new URL(url);
+      if (!/^https?:$/.test(parsed.protocol)) return null;
+      parsed.hash = '';
+      return parsed.toString();
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a normalized URL is inside the crawl scope and matches the include/exclude patterns
+   * @param {string} url - Normalized URL
+   * @returns {boolean} True if the page should be crawled
+   */
+  isInScope(url) {
+    const parsed = new URL(url);
+
+    if (this.scope === 'path') {
+      if (parsed.origin !== this.origin || !parsed.pathname.startsWith(this.pathPrefix)) return false;
+    } else if (parsed.hostname.toLowerCase() !== this.hostname) {
+      return false;
+    }
+
+    if (!PAGE_EXTENSIONS.includes(path.extname(parsed.pathname).toLowerCase())) return false;
+    if (this.exclude.some(pattern => pattern.test(url))) return false;
+    if (this.include.length && url !== this.startUrl && !this.include.some(pattern => pattern.test(url))) return false;
+
+    return true;
+  }
+
+  /**
+   * Queue a URL if it is new, in scope and within the depth limit
+   * @param {string} url - URL to queue
+   * @param {number} depth - Link depth of the URL
+   * @returns {boolean} True if the URL was queued
+   */
+  add(url, depth) {
+    const normalized = this.normalize(url);
+    if (!normalized || this.seen.has(normalized)) return false;
+    if (depth > this.maxDepth) return false;
+    if (depth > 0 && !this.isInScope(normalized)) return false;
+
+    this.seen.add(normalized);
+    this.queue.push({ url: normalized, depth });
+    return true;
+  }
+
+  /**
+   * Mark a URL as visited without queueing it (e.g. the final URL after a redirect)
+   * @param {string} url - URL to mark
+   */
+  markSeen(url) {
+    const normalized = this.normalize(url);
+    if (normalized) this.seen.add(normalized);
+  }
+
+  /**
+   * Take the next page to crawl (breadth-first)
+   * @returns {Object|null} `{ url, depth }` or null when the queue is empty
+   */
+  next() {
+    return this.queue.shift() || null;
+  }
+
+  /**
+   * Number of pages still waiting in the queue
+   * @returns {number} Queue length
+   */
+  get pending() {
+    return this.queue.length;
+  }
+}
+
+export default CrawlFrontier;
@@ -0,0 +1,82 @@
+// url(...) tokens, quoted or not
+const CSS_URL_PATTERN = /\burl\(\s*(?:"([^"]*)"|'([^']*)'|([^)'"\s]*))\s*\)/gi;
+
+// @import "..." / @import '...' (the url(...) form is covered by CSS_URL_PATTERN)
+const CSS_IMPORT_PATTERN = /@import\s+(?:"([^"]*)"|'([^']*)')/gi;
+
+// Target of an @import in either form
+const CSS_IMPORT_TARGET_PATTERN = /@import\s+(?:url\(\s*)?(?:"([^"]*)"|'([^']*)'|([^)'"\s;]+))/gi;
+
+/**
+ * CSS URL reference helpers shared by inline styles and stylesheets
+ */
+class CssRewriter {
+  /**
+   * Rewrite every url() and @import reference in a piece of CSS
+   * @param {string} cssText - CSS source (a stylesheet, a <style> body or a style attribute)
+   * @param {Function} mapUrl - Called with the raw reference, returns the replacement or null to keep it
+   * @returns {string} Rewritten CSS
+   */
+  static rewriteUrls(cssText, mapUrl) {
+    const map = (raw) => {
+      const value = raw.trim();
+      if (!value || value.startsWith('data:') || value.startsWith('#')) return null;
+      const mapped = mapUrl(value);
+      return mapped == null || mapped === value ? null : mapped;
+    };
+
+    return String(cssText)
+      .replace(CSS_URL_PATTERN, (match, double, single, bare) => {
+        const quote = double !== undefined ? '"' : single !== undefined ? '\'' : '';
+        const mapped = map(double ?? single ?? bare);
+        if (mapped == null) return match;
+        const safeQuote = quote || (/[\s()'"]/.test(mapped) ? '"' : '');
+        return `url(${safeQuote}${mapped}${safeQuote})`;
+      })
+      .replace(CSS_IMPORT_PATTERN, (match, double, single) => {
+        const quote = double !== undefined ? '"' : '\'';
+        const mapped = map(double ?? single);
+        return mapped == null ? match : `@import ${quote}${mapped}${quote}`;
+      });
+  }
+
+  /**
+   * Rewrite the target of an @import rule given its params (everything after `@import`)
+   * @param {string} params - At-rule params, e.g. `"theme.css" screen`
+   * @param {Function} mapUrl - Called with the raw reference, returns the replacement or null to keep it
+   * @returns {string} Rewritten params
+   */
+  static rewriteImportParams(params, mapUrl) {
+    return CssRewriter.rewriteUrls(`@import ${params}`, mapUrl).replace(/^@import /, '');
+  }
+
+  /**
+   * List the targets of every @import rule in a piece of CSS
+   * @param {string} cssText - CSS source
+   * @returns {Array<string>} Raw import references in document order
+   */
+  static extractImports(cssText) {
+    const imports = [];
+    for (const match of String(cssText).matchAll(CSS_IMPORT_TARGET_PATTERN)) {
+      const value = (match[1] ?? match[2] ?? match[3]).trim();
+      if (value) imports.push(value);
+    }
+    return imports;
+  }
+
+  /**
+   * List every url() and @import reference in a piece of CSS
+   * @param {string} cssText - CSS source
+   * @returns {Array<string>} Raw references in document order
+   */
+  static extractUrls(cssText) {
+    const urls = [];
+    CssRewriter.rewriteUrls(cssText, (value) => {
+      urls.push(value);
+      return null;
+    });
+    return urls;
+  }
+}
+
+export default CssRewriter;
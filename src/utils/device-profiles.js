@@ -0,0 +1,165 @@
+// Built-in device profiles; `userAgent: null` keeps the browser's own user agent
+const PROFILES = [
+  {
+    id: 'desktop',
+    name: 'Desktop 1920×1080',
+    width: 1920,
+    height: 1080,
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    userAgent: null
+  },
+  {
+    id: 'laptop',
+    name: 'Laptop 1366×768',
+    width: 1366,
+    height: 768,
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    userAgent: null
+  },
+  {
+    id: 'tablet',
+    name: 'iPad 810×1080',
+    width: 810,
+    height: 1080,
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  },
+  {
+    id: 'iphone',
+    name: 'iPhone 390×844',
+    width: 390,
+    height: 844,
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  },
+  {
+    id: 'android',
+    name: 'Android 412×915',
+    width: 412,
+    height: 915,
+    deviceScaleFactor: 2.625,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (Linux; Android 14; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36'
+  }
+];
+
+// Profile used when a clone does not choose one
+const DEFAULT_PROFILE = 'desktop';
+
+/**
+ * Device and viewport profiles applied to clones (and optionally to the source view):
+ * viewport size, device scale factor, touch, mobile flag and user agent.
+ */
+class DeviceProfiles {
+  /**
+   * Built-in profiles followed by custom ones
+   * @param {Array<Object>} custom - Validated custom profiles
+   * @returns {Array<Object>} Profiles
+   */
+  static list(custom = []) {
+    return [...PROFILES, ...custom];
+  }
+
+  /**
+   * The profile a clone uses when none is chosen
+   * @returns {Object} Default profile
+   */
+  static getDefault() {
+    return PROFILES.find(profile => profile.id === DEFAULT_PROFILE);
+  }
+
+  /**
+   * Validate a profile and fill in optional fields
+   * @param {Object} profile - Profile object
+   * @returns {Object} Normalized profile
+   * @throws {Error} If a field is missing or out of range
+   */
+  static normalize(profile) {
+    if (!profile || typeof profile !== 'object') {
+      throw new Error('A device profile must be an object');
+    }
+
+    const id = String(profile.id || '').trim();
+    if (!/^[a-z0-9][a-z0-9_-]*$/i.test(id)) {
+      throw new Error(`Device profile "${profile.name || id}": "id" must be letters, digits, "-" or "_" (it names the output folder)`);
+    }
+    const dimension = (field) => {
+      const value = Number(profile[field]);
+      if (!Number.isInteger(value) || value < 100 || value > 10000) {
+        throw new Error(`Device profile "${id}": "${field}" must be a whole number of pixels between 100 and 10000`);
+      }
+      return value;
+    };
+    const deviceScaleFactor = Number(profile.deviceScaleFactor ?? 1);
+    if (!(deviceScaleFactor > 0 && deviceScaleFactor <= 5)) {
+      throw new Error(`Device profile "${id}": "deviceScaleFactor" must be between 0 and 5`);
+    }
+
+    return {
+      id,
+      name: String(profile.name || id),
+      width: dimension('width'),
+      height: dimension('height'),
+      deviceScaleFactor,
+      isMobile: !!profile.isMobile,
+      hasTouch: !!profile.hasTouch,
+      userAgent: profile.userAgent ? String(profile.userAgent) : null
+    };
+  }
+
+  /**
+   * Parse custom profiles edited as JSON
+   * @param {string} source - JSON array of profiles (blank = none)
+   * @returns {Array<Object>} Normalized custom profiles, flagged with `custom: true`
+   * @throws {Error} If the JSON is invalid, a profile is malformed or an id is taken
+   */
+  static parseCustom(source) {
+    if (!source || !source.trim()) return [];
+
+    let profiles;
+    try {
+      profiles = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(profiles)) {
+      throw new Error('Custom device profiles must be an array');
+    }
+
+    const ids = new Set(PROFILES.map(profile => profile.id));
+    return profiles.map((profile) => {
+      const normalized = DeviceProfiles.normalize(profile);
+      if (ids.has(normalized.id)) {
+        throw new Error(`Device profile id "${normalized.id}" is already used`);
+      }
+      ids.add(normalized.id);
+      return { ...normalized, custom: true };
+    });
+  }
+
+  /**
+   * Puppeteer viewport of a profile
+   * @param {Object} profile - Normalized profile
+   * @returns {Object} Viewport for page.setViewport()
+   */
+  static toViewport(profile) {
+    return {
+      width: profile.width,
+      height: profile.height,
+      deviceScaleFactor: profile.deviceScaleFactor,
+      isMobile: profile.isMobile,
+      hasTouch: profile.hasTouch
+    };
+  }
+}
+
+export default DeviceProfiles;
@@ -91,6 +91,32 @@ class FileUtils {
     }
   }
 
+  /**
+   * Build a URL-encoded relative href from a directory to a local file
+   * @param {string} fromDir - Directory the reference is written in
+   * @param {string} localPath - Local file path
+   * @returns {string} Relative href with forward slashes
+   */
+  static toRelativeHref(fromDir, localPath) {
+    return path.relative(fromDir, localPath)
+      .split(path.sep)
+      .map(segment => encodeURIComponent(segment))
+      .join('/');
+  }
+
+  /**
+   * Guess the Puppeteer resource type of a URL from its extension
+   * @param {string} url - File URL
+   * @returns {string} Resource type
+   */
+  static guessResourceType(url) {
+    if (this.isStylesheet(url)) return 'stylesheet';
+    if (this.isFont(url)) return 'font';
+    if (this.isImage(url)) return 'image';
+    if (this.isScript(url)) return 'script';
+    return 'other';
+  }
+
   /**
    * Ensure directory exists
    * @param {string} dirPath - Directory path
@@ -0,0 +1,76 @@
+import constants from './constants.js';
+
+// Embedded video players (matched against the frame URL); with video posters on they are replaced
+// by a screenshot linking to the video instead of being saved
+const VIDEO_EMBEDS = [
+  /^https?:\/\/(www\.)?youtube(-nocookie)?\.com\/embed\//i,
+  /^https?:\/\/player\.vimeo\.com\/video\//i,
+  /^https?:\/\/(www\.)?dailymotion\.com\/embed\//i,
+  /^https?:\/\/(fast\.)?wistia\.(com|net)\/embed\//i,
+  /^https?:\/\/(www\.)?loom\.com\/embed\//i,
+  /^https?:\/\/player\.twitch\.tv\//i,
+  /^https?:\/\/streamable\.com\/e\//i
+];
+
+/**
+ * Child frames of a page (iframes and frames, same- or cross-origin, nested at any depth).
+ * Each frame's owner element is tagged in its parent document with constants.FRAME_ATTRIBUTE,
+ * so that once every frame is saved as its own document, the parent's <iframe src> can be
+ * rewritten to the local copy.
+ */
+class FrameCapture {
+  /**
+   * Check whether a frame URL is a known video player embed
+   * @param {string} url - Frame URL
+   * @returns {boolean} True for YouTube, Vimeo, Dailymotion, Wistia, Loom, Twitch and Streamable embeds
+   */
+  static isVideoEmbed(url) {
+    return VIDEO_EMBEDS.some(pattern => pattern.test(url));
+  }
+
+  /**
+   * Tag every child frame's owner element and list the frames, parents before children.
+   * Must run before the documents are serialized so the tags end up in the captured HTML.
+   * @param {Object} page - Puppeteer page
+   * @param {Object} options - Collect options
+   * @param {boolean} options.videoPosters - Screenshot video embeds (their own frames are not collected)
+   * @returns {Promise<Array<Object>>} `{ id, parentId, frame, url, video, poster }` entries
+   *   (`parentId` null for frames of the main document, `poster` a PNG buffer or null)
+   */
+  static async collect(page, { videoPosters = false } = {}) {
+    const frames = [];
+
+    const walk = async (parent, parentId) => {
+      for (const frame of parent.childFrames()) {
+        if (frame.detached) continue;
+        const element = await frame.frameElement().catch(() => null);
+        if (!element) continue;
+
+        const id = String(frames.length + 1);
+        const url = frame.url();
+        const video = videoPosters && FrameCapture.isVideoEmbed(url);
+        const entry = { id, parentId, frame, url, video, poster: null };
+        try {
+          await element.evaluate((node, attribute, value) => node.setAttribute(attribute, value), constants.FRAME_ATTRIBUTE, id);
+          // A player that cannot be screenshotted (hidden, zero-sized) becomes a plain link
+          if (video) {
+            entry.poster = await element.screenshot({ type: 'png' }).then(Buffer.from, () => null);
+          }
+        } catch {
+          // An untagged frame cannot be linked to its parent's <iframe>; it keeps its live URL
+          continue;
+        } finally {
+          await element.dispose();
+        }
+        frames.push(entry);
+
+        if (!video) await walk(frame, id);
+      }
+    };
+
+    await walk(page.mainFrame(), null);
+    return frames;
+  }
+}
+
+export default FrameCapture;
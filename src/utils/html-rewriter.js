@@ -0,0 +1,538 @@
+import path from 'path';
+import * as cheerio from 'cheerio';
+import CssRewriter from './css-rewriter.js';
+import FileUtils from './file-utils.js';
+import constants from './constants.js';
+
+// Attributes holding a single asset URL, by attribute name -> elements that use it
+const ASSET_ATTRIBUTES = {
+  src: ['img', 'script', 'iframe', 'frame', 'embed', 'video', 'audio', 'source', 'track', 'input'],
+  poster: ['video'],
+  data: ['object'],
+  background: ['body', 'table', 'td', 'th'],
+  'xlink:href': ['image', 'use']
+};
+
+// <link rel> values that describe the page itself rather than an asset; kept as absolute URLs
+const PAGE_LINK_RELS = ['canonical', 'alternate', 'shortlink', 'next', 'prev', 'amphtml', 'author', 'help', 'license', 'search'];
+
+// <meta name|property> values whose content is an image URL
+const IMAGE_META_NAMES = [
+  'og:image', 'og:image:url', 'og:image:secure_url', 'og:video', 'og:audio',
+  'twitter:image', 'twitter:image:src', 'msapplication-tileimage', 'thumbnail'
+];
+
+// Lazy-load attributes holding the real value of an attribute, by target attribute
+const LAZY_ATTRIBUTES = {
+  src: ['data-src', 'data-lazy-src', 'data-original', 'data-lazy'],
+  srcset: ['data-srcset', 'data-lazy-srcset'],
+  sizes: ['data-sizes'],
+  poster: ['data-poster']
+};
+
+// Elements lazy-load attributes are promoted on
+const LAZY_ELEMENTS = ['img', 'source', 'iframe', 'video', 'audio'];
+
+// Lazy background attributes, promoted to an inline background-image
+const LAZY_BACKGROUND_ATTRIBUTES = ['data-bg', 'data-background', 'data-background-image', 'data-bg-src'];
+
+// <script type> values that run as JavaScript (no type at all does too)
+const JS_SCRIPT_TYPE = /^(module|(text|application)\/(x-)?(java|ecma)script)$/i;
+
+/**
+ * DOM-based rewriting of every URL reference in captured HTML
+ */
+class HtmlRewriter {
+  /**
+   * @param {Object} options - Rewrite options
+   * @param {Object} options.savedFiles - Remote URL -> local file path
+   * @param {Map} options.pageMap - Normalized page URL -> local page path
+   * @param {string} options.stubPath - Local path of the not-archived stub page
+   * @param {string} options.unarchivedLinks - 'stub', 'mark' or 'keep' for links to pages that were not cloned
+   * @param {boolean} options.promoteLazy - Copy lazy-load attributes (data-src, data-srcset, data-bg...) to the real ones
+   * @param {JsRewriter} options.jsRewriter - Also rewrites inline scripts and import maps (null leaves them as captured)
+   */
+  constructor({ savedFiles = {}, pageMap = new Map(), stubPath = null, unarchivedLinks = 'keep', promoteLazy = true, jsRewriter = null } = {}) {
+    this.savedFiles = savedFiles;
+    this.pageMap = pageMap;
+    this.stubPath = stubPath;
+    this.unarchivedLinks = unarchivedLinks;
+    this.promoteLazy = promoteLazy;
+    this.jsRewriter = jsRewriter;
+  }
+
+  /**
+   * List every image-like URL a document references through srcset candidates, lazy-load
+   * attributes and media sources, including the ones the browser never requested
+   * @param {string} html - Captured HTML
+   * @param {string} pageUrl - URL the document was captured from
+   * @returns {Array<string>} Absolute http(s) URLs without fragments
+   */
+  static collectImageCandidates(html, pageUrl) {
+    const $ = cheerio.load(html);
+    const baseHref = $('base[href]').first().attr('href');
+    let baseUrl = pageUrl;
+    try {
+      if (baseHref) baseUrl = new URL(baseHref, pageUrl).toString();
+    } catch {}
+
+    const urls = new Set();
+    const add = (reference) => {
+      const value = String(reference || '').trim();
+      if (!value || /^(data|blob):/i.test(value)) return;
+      try {
+        const parsed = new URL(value, baseUrl);
+        if (!/^https?:$/.test(parsed.protocol)) return;
+        parsed.hash = '';
+        urls.add(parsed.toString());
+      } catch {}
+    };
+
+    $('img, source, video, audio').each((_, element) => {
+      const $element = $(element);
+      for (const attribute of ['srcset', ...LAZY_ATTRIBUTES.srcset]) {
+        HtmlRewriter.parseSrcset($element.attr(attribute)).forEach(candidate => add(candidate.url));
+      }
+      for (const attribute of ['src', 'poster', ...LAZY_ATTRIBUTES.src, ...LAZY_ATTRIBUTES.poster]) {
+        add($element.attr(attribute));
+      }
+    });
+
+    $(LAZY_BACKGROUND_ATTRIBUTES.map(name => `[${name}]`).join(', ')).each((_, element) => {
+      for (const attribute of LAZY_BACKGROUND_ATTRIBUTES) {
+        const value = $(element).attr(attribute);
+        if (!value) continue;
+        const references = CssRewriter.extractUrls(value);
+        (references.length ? references : [value]).forEach(add);
+      }
+    });
+
+    return [...urls];
+  }
+
+  /**
+   * Parse a srcset attribute into its candidates
+   * @param {string} value - srcset value
+   * @returns {Array<Object>} `{ url, descriptor }` candidates
+   */
+  static parseSrcset(value) {
+    const candidates = [];
+    const input = String(value || '');
+    let position = 0;
+
+    while (position < input.length) {
+      // Skip leading whitespace and separating commas
+      while (position < input.length && /[\s,]/.test(input[position])) position++;
+      if (position >= input.length) break;
+
+      let end = position;
+      while (end < input.length && !/\s/.test(input[end])) end++;
+      let url = input.slice(position, end);
+      position = end;
+
+      let descriptor = '';
+      if (url.endsWith(',')) {
+        url = url.replace(/,+$/, '');
+      } else {
+        // Descriptor runs to the next comma outside parentheses
+        let depth = 0;
+        end = position;
+        while (end < input.length && (input[end] !== ',' || depth > 0)) {
+          if (input[end] === '(') depth++;
+          if (input[end] === ')') depth--;
+          end++;
+        }
+        descriptor = input.slice(position, end).trim();
+        position = end + 1;
+      }
+
+      if (url) candidates.push({ url, descriptor });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Serialize srcset candidates back into an attribute value
+   * @param {Array<Object>} candidates - `{ url, descriptor }` candidates
+   * @returns {string} srcset value
+   */
+  static serializeSrcset(candidates) {
+    return candidates
+      .map(({ url, descriptor }) => (descriptor ? `${url} ${descriptor}` : url))
+      .join(', ');
+  }
+
+  /**
+   * Rewrite a captured document so its references point at the local copies
+   * @param {string} html - Captured HTML
+   * @param {Object} page - Page being rewritten
+   * @param {string} page.pageUrl - URL the document was captured from
+   * @param {string} page.savePath - Local path the document will be saved to
+   * @param {Map} page.frames - Frame id (constants.FRAME_ATTRIBUTE) -> `{ url, savePath }` saved frame or `{ url, video, posterPath }` video poster
+   * @returns {Object} `{ html, stubbed, scriptIssues }` with the rewritten HTML, the number of stubbed links
+   *   and the script references that could not be rewritten (`{ reference, reason }`, only with a jsRewriter)
+   */
+  rewrite(html, { pageUrl, savePath, frames = new Map() }) {
+    const $ = cheerio.load(html);
+    const context = { pageUrl, savePath, pageDir: path.dirname(savePath), baseUrl: pageUrl, stubbed: 0, scriptIssues: [] };
+
+    // Resolve against <base href>, then drop it: every rewritten reference is either local or absolute
+    const base = $('base[href]').first();
+    if (base.length) {
+      context.baseUrl = this.resolve(base.attr('href'), pageUrl) || pageUrl;
+      base.removeAttr('href');
+      if (!Object.keys(base.get(0).attribs).length) base.remove();
+    }
+
+    if (this.promoteLazy) {
+      this.promoteLazyAttributes($);
+    }
+
+    // Before the attribute pass, which rewrites modulepreload hrefs
+    if (this.jsRewriter) {
+      this.rewriteScripts($, context);
+    }
+
+    $('*').each((_, element) => {
+      const tag = element.name.toLowerCase();
+      const $element = $(element);
+
+      // Keep lazy-load attributes pointing at the local copies too, in case the page's loader runs again
+      for (const attribute of [...LAZY_ATTRIBUTES.src, ...LAZY_ATTRIBUTES.poster]) {
+        if (LAZY_ELEMENTS.includes(tag) && $element.attr(attribute)) {
+          $element.attr(attribute, this.mapAsset($element.attr(attribute), context));
+        }
+      }
+      for (const attribute of LAZY_ATTRIBUTES.srcset) {
+        if ($element.attr(attribute)) {
+          $element.attr(attribute, this.mapSrcset($element.attr(attribute), context));
+        }
+      }
+      for (const attribute of LAZY_BACKGROUND_ATTRIBUTES) {
+        const value = $element.attr(attribute);
+        if (value) {
+          $element.attr(attribute, /url\(/i.test(value) ? this.mapCss(value, context, context.baseUrl) : this.mapAsset(value, context));
+        }
+      }
+
+      for (const [attribute, tags] of Object.entries(ASSET_ATTRIBUTES)) {
+        if (tags.includes(tag) && $element.attr(attribute) !== undefined) {
+          $element.attr(attribute, this.mapAsset($element.attr(attribute), context));
+        }
+      }
+
+      if ($element.attr('href') !== undefined) {
+        this.rewriteHref($element, tag, context);
+      }
+
+      if ($element.attr('srcset') !== undefined) {
+        $element.attr('srcset', this.mapSrcset($element.attr('srcset'), context));
+      }
+
+      if (tag === 'form' && $element.attr('action')) {
+        // Forms keep submitting to the live site
+        $element.attr('action', this.resolve($element.attr('action'), context.baseUrl) || $element.attr('action'));
+      }
+
+      if ($element.attr('style') !== undefined) {
+        $element.attr('style', this.mapCss($element.attr('style'), context, context.baseUrl));
+      }
+
+      if (tag === 'style') {
+        $element.text(this.mapCss($element.text(), context, context.baseUrl));
+      }
+
+      if (tag === 'meta' && $element.attr('content')) {
+        this.rewriteMeta($element, context);
+      }
+    });
+
+    // Captured frames load their local copy (srcdoc would win over src); video embeds become posters
+    $(`[${constants.FRAME_ATTRIBUTE}]`).each((_, element) => {
+      const $element = $(element);
+      const frame = frames.get($element.attr(constants.FRAME_ATTRIBUTE));
+      $element.removeAttr(constants.FRAME_ATTRIBUTE);
+      if (!frame) return;
+
+      if (frame.video) {
+        $element.replaceWith(this.buildVideoPoster($, $element, frame, context));
+      } else {
+        $element.attr('src', this.relativeHref(frame.savePath, context));
+        $element.removeAttr('srcdoc');
+      }
+    });
+
+    return { html: $.html(), stubbed: context.stubbed, scriptIssues: context.scriptIssues };
+  }
+
+  /**
+   * Rewrite URLs inside inline scripts and import maps, and report module preloads that were not saved
+   * @param {Object} $ - Cheerio root
+   * @param {Object} context - Rewrite context
+   */
+  rewriteScripts($, context) {
+    const script = { baseUrl: context.baseUrl, localPath: context.savePath };
+
+    $('script:not([src])').each((_, element) => {
+      const $element = $(element);
+      const type = String($element.attr('type') || '').trim();
+      const source = $element.text();
+      if (!source.trim()) return;
+
+      if (type.toLowerCase() === 'importmap') {
+        const result = this.jsRewriter.rewriteImportMap(source, script);
+        context.scriptIssues.push(...result.issues);
+        if (result.rewritten) $element.text(result.json);
+      } else if (!type || JS_SCRIPT_TYPE.test(type)) {
+        const result = this.jsRewriter.rewrite(source, script);
+        context.scriptIssues.push(...result.issues);
+        if (result.rewritten) $element.text(result.code);
+      }
+    });
+
+    $('link[rel~="modulepreload"][href]').each((_, element) => {
+      const href = $(element).attr('href');
+      const absoluteUrl = this.resolve(href, context.baseUrl);
+      if (absoluteUrl && /^https?:/i.test(absoluteUrl) && !this.findLocal(absoluteUrl)) {
+        context.scriptIssues.push({ reference: href, reason: 'Module preload not saved in the clone' });
+      }
+    });
+  }
+
+  /**
+   * Placeholder for a video player embed: its screenshot (if any), sized like the frame and
+   * linking to the video
+   * @param {Function} $ - Cheerio document
+   * @param {Object} $frame - Cheerio <iframe> being replaced
+   * @param {Object} frame - `{ url, posterPath }` video frame
+   * @param {Object} context - Rewrite context
+   * @returns {Object} Cheerio <a> element
+   */
+  buildVideoPoster($, $frame, frame, context) {
+    const size = value => (/^\d+$/.test(String(value || '').trim()) ? `${value.trim()}px` : value);
+    const style = [
+      'display: inline-block',
+      'position: relative',
+      'background: #000',
+      'color: #fff',
+      'text-align: center',
+      $frame.attr('width') && `width: ${size($frame.attr('width'))}`,
+      $frame.attr('height') && `height: ${size($frame.attr('height'))}`,
+      $frame.attr('style')
+    ].filter(Boolean).join('; ');
+
+    const $poster = $('<a></a>')
+      .attr({ href: frame.url, target: '_blank', rel: 'noopener', title: $frame.attr('title') || 'Play video', style })
+      .addClass($frame.attr('class') || '');
+    if ($frame.attr('id')) $poster.attr('id', $frame.attr('id'));
+
+    if (frame.posterPath) {
+      $poster.append($('<img>').attr({
+        src: this.relativeHref(frame.posterPath, context),
+        alt: $frame.attr('title') || 'Video',
+        style: 'display: block; width: 100%; height: 100%; object-fit: cover'
+      }));
+    } else {
+      $poster.append($('<span></span>').attr('style', 'display: block; padding: 2em 1em').text(`▶ Play video on ${new URL(frame.url).hostname}`));
+    }
+    return $poster;
+  }
+
+  /**
+   * Copy lazy-load attributes onto the attributes the browser renders from, so images show
+   * up in the clone without the page's lazy-load script
+   * @param {Function} $ - Cheerio document
+   */
+  promoteLazyAttributes($) {
+    $(LAZY_ELEMENTS.join(', ')).each((_, element) => {
+      const $element = $(element);
+      for (const [target, sources] of Object.entries(LAZY_ATTRIBUTES)) {
+        const value = sources.map(name => $element.attr(name)).find(candidate => candidate && candidate.trim());
+        // data-sizes="auto" is computed by the loader at runtime
+        if (!value || (target === 'sizes' && value.trim() === 'auto')) continue;
+        $element.attr(target, value.trim());
+      }
+    });
+
+    $(LAZY_BACKGROUND_ATTRIBUTES.map(name => `[${name}]`).join(', ')).each((_, element) => {
+      const $element = $(element);
+      const value = LAZY_BACKGROUND_ATTRIBUTES.map(name => $element.attr(name)).find(candidate => candidate && candidate.trim());
+      const style = ($element.attr('style') || '').trim();
+      if (!value || /background(-image)?\s*:/i.test(style)) return;
+
+      const image = /url\(/i.test(value) ? value.trim() : `url("${value.trim()}")`;
+      $element.attr('style', `${style}${style && !style.endsWith(';') ? ';' : ''}${style ? ' ' : ''}background-image: ${image};`);
+    });
+  }
+
+  /**
+   * Resolve a reference against a base URL
+   * @param {string} reference - Raw attribute value
+   * @param {string} baseUrl - Base URL
+   * @returns {string|null} Absolute URL or null if it cannot be resolved
+   */
+  resolve(reference, baseUrl) {
+    try {
+      return new URL(String(reference).trim(), baseUrl).toString();
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Build a URL-encoded path from the page's directory to a local file
+   * @param {string} localPath - Local file path
+   * @param {Object} context - Rewrite context
+   * @returns {string} Relative href
+   */
+  relativeHref(localPath, context) {
+    if (localPath === context.savePath) return encodeURIComponent(path.basename(localPath));
+    return FileUtils.toRelativeHref(context.pageDir, localPath);
+  }
+
+  /**
+   * Look up the local copy of an absolute URL
+   * @param {string} absoluteUrl - Absolute URL (may carry a fragment)
+   * @param {boolean} includePages - Also look in the crawled page map
+   * @returns {Object|null} `{ localPath, hash }` or null when the URL was not saved
+   */
+  findLocal(absoluteUrl, includePages = false) {
+    const parsed = new URL(absoluteUrl);
+    const hash = parsed.hash;
+    parsed.hash = '';
+    const key = parsed.toString();
+
+    const localPath = (includePages && this.pageMap.get(key)) || this.savedFiles[key];
+    // Entries seeded from captured network data map a URL to itself until the file is actually saved
+    if (!localPath || !path.isAbsolute(localPath)) return null;
+    return { localPath, hash };
+  }
+
+  /**
+   * Map an asset reference to its local copy, or to an absolute URL when it was not saved
+   * @param {string} reference - Raw reference
+   * @param {Object} context - Rewrite context
+   * @param {string} baseUrl - URL the reference is relative to
+   * @returns {string} Rewritten reference
+   */
+  mapAsset(reference, context, baseUrl = context.baseUrl) {
+    const value = String(reference).trim();
+    if (!value || /^(data|blob|javascript|about|mailto|tel):/i.test(value) || value.startsWith('#')) {
+      return reference;
+    }
+
+    const absoluteUrl = this.resolve(value, baseUrl);
+    if (!absoluteUrl || !/^https?:/i.test(absoluteUrl)) return reference;
+
+    const local = this.findLocal(absoluteUrl);
+    return local ? this.relativeHref(local.localPath, context) + local.hash : absoluteUrl;
+  }
+
+  /**
+   * Map every candidate of a srcset attribute
+   * @param {string} value - srcset value
+   * @param {Object} context - Rewrite context
+   * @returns {string} Rewritten srcset
+   */
+  mapSrcset(value, context) {
+    const candidates = HtmlRewriter.parseSrcset(value)
+      .map(candidate => ({ ...candidate, url: this.mapAsset(candidate.url, context) }));
+    return HtmlRewriter.serializeSrcset(candidates);
+  }
+
+  /**
+   * Map url() and @import references in inline CSS
+   * @param {string} cssText - CSS text
+   * @param {Object} context - Rewrite context
+   * @param {string} baseUrl - URL the CSS references are relative to
+   * @returns {string} Rewritten CSS
+   */
+  mapCss(cssText, context, baseUrl) {
+    return CssRewriter.rewriteUrls(cssText, reference => this.mapAsset(reference, context, baseUrl));
+  }
+
+  /**
+   * Rewrite an href depending on the element that carries it
+   * @param {Object} $element - Cheerio element
+   * @param {string} tag - Lower-case tag name
+   * @param {Object} context - Rewrite context
+   */
+  rewriteHref($element, tag, context) {
+    const href = $element.attr('href');
+
+    if (tag === 'a' || tag === 'area') {
+      this.rewriteLink($element, href, context);
+    } else if (tag === 'link') {
+      const rels = String($element.attr('rel') || '').toLowerCase().split(/\s+/);
+      if (rels.some(rel => PAGE_LINK_RELS.includes(rel))) {
+        $element.attr('href', this.resolve(href, context.baseUrl) || href);
+      } else {
+        $element.attr('href', this.mapAsset(href, context));
+      }
+    } else if (tag === 'image' || tag === 'use') {
+      $element.attr('href', this.mapAsset(href, context));
+    }
+  }
+
+  /**
+   * Rewrite a navigation link to the cloned page, or apply the not-archived policy
+   * @param {Object} $element - Cheerio element
+   * @param {string} href - Raw href
+   * @param {Object} context - Rewrite context
+   */
+  rewriteLink($element, href, context) {
+    const value = String(href).trim();
+    if (!value || value.startsWith('#') || /^(mailto|tel|javascript|data|blob):/i.test(value)) return;
+
+    const absoluteUrl = this.resolve(value, context.baseUrl);
+    if (!absoluteUrl || !/^https?:/i.test(absoluteUrl)) return;
+
+    const local = this.findLocal(absoluteUrl, true);
+    if (local) {
+      $element.attr('href', this.relativeHref(local.localPath, context) + local.hash);
+      return;
+    }
+
+    if (this.unarchivedLinks === 'stub' && this.stubPath) {
+      context.stubbed++;
+      $element.attr('href', `${this.relativeHref(this.stubPath, context)}?url=${encodeURIComponent(absoluteUrl)}`);
+      $element.attr('data-original-href', absoluteUrl);
+      $element.attr('data-not-archived', 'true');
+      return;
+    }
+
+    $element.attr('href', absoluteUrl);
+    if (this.unarchivedLinks === 'mark') {
+      $element.attr('data-not-archived', 'true');
+    }
+  }
+
+  /**
+   * Rewrite image URLs in social meta tags and the target of a meta refresh
+   * @param {Object} $element - Cheerio meta element
+   * @param {Object} context - Rewrite context
+   */
+  rewriteMeta($element, context) {
+    const content = $element.attr('content');
+    const name = String($element.attr('name') || $element.attr('property') || $element.attr('itemprop') || '').toLowerCase();
+
+    if (IMAGE_META_NAMES.includes(name) || name === 'image') {
+      $element.attr('content', this.mapAsset(content, context));
+      return;
+    }
+
+    if (String($element.attr('http-equiv') || '').toLowerCase() === 'refresh') {
+      const match = content.match(/^(\s*\d+\s*[;,]\s*url\s*=\s*)(['"]?)(.+?)\2\s*$/i);
+      if (!match) return;
+
+      const target = this.resolve(match[3], context.baseUrl);
+      const local = target && this.findLocal(target, true);
+      if (local) {
+        $element.attr('content', `${match[1]}${this.relativeHref(local.localPath, context)}${local.hash}`);
+      }
+    }
+  }
+}
+
+export default HtmlRewriter;
@@ -0,0 +1,252 @@
+/**
+ * JSON step language for interacting with a page before it is captured (dismiss banners,
+ * click "load more", open tabs...). A script is an array of steps such as:
+ *
+ *   [
+ *     { "action": "click", "selector": "#accept-cookies", "optional": true },
+ *     { "action": "type", "selector": "input[name=q]", "text": "shoes" },
+ *     { "action": "press", "key": "Enter" },
+ *     { "action": "wait", "selector": ".results" },
+ *     { "action": "scroll", "to": "bottom" }
+ *   ]
+ *
+ * Every step accepts `optional` (a failure skips the step instead of stopping the script)
+ * and `timeout` in ms. `click` and `press` take `navigation: true` when they load another page,
+ * which is how the source-view recorder writes navigations triggered by the user.
+ */
+
+// Fields each action requires, and the fields it accepts beyond the common ones
+const ACTIONS = {
+  goto: { required: ['url'], allowed: ['url'] },
+  click: { required: ['selector'], allowed: ['selector', 'button', 'clickCount', 'navigation'] },
+  type: { required: ['selector', 'text'], allowed: ['selector', 'text', 'delay', 'clear'] },
+  select: { required: ['selector', 'value'], allowed: ['selector', 'value'] },
+  press: { required: ['key'], allowed: ['key', 'selector', 'navigation'] },
+  hover: { required: ['selector'], allowed: ['selector'] },
+  wait: { required: [], allowed: ['ms', 'selector', 'function', 'navigation'] },
+  scroll: { required: [], allowed: ['selector', 'to', 'x', 'y'] },
+  evaluate: { required: ['script'], allowed: ['script'] }
+};
+
+const COMMON_FIELDS = ['action', 'optional', 'timeout', 'description'];
+
+// Default per-step timeout in ms
+const STEP_TIMEOUT = 10000;
+
+// Pause after steps that usually trigger page activity, before the next step runs
+const SETTLE_IDLE_TIME = 300;
+
+class InteractionScript {
+  /**
+   * Parse and validate a script
+   * @param {string|Array<Object>} source - JSON text or an already parsed step list
+   * @returns {Array<Object>} Validated steps (an empty or blank script gives [])
+   * @throws {Error} If the JSON is invalid or a step is malformed (message names the step)
+   */
+  static parse(source) {
+    if (source == null || (typeof source === 'string' && !source.trim())) return [];
+
+    let steps = source;
+    if (typeof source === 'string') {
+      try {
+        steps = JSON.parse(source);
+      } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+      }
+    }
+    if (!Array.isArray(steps)) {
+      throw new Error('A script must be an array of steps');
+    }
+
+    return steps.map((step, index) => InteractionScript.validateStep(step, index));
+  }
+
+  /**
+   * Validate one step
+   * @param {Object} step - Step object
+   * @param {number} index - Position in the script (for error messages)
+   * @returns {Object} The step
+   * @throws {Error} If the step is malformed
+   */
+  static validateStep(step, index) {
+    const where = `Step ${index + 1}`;
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      throw new Error(`${where}: must be an object`);
+    }
+
+    const spec = ACTIONS[step.action];
+    if (!spec) {
+      throw new Error(`${where}: unknown action "${step.action}" (expected ${Object.keys(ACTIONS).join(', ')})`);
+    }
+    for (const field of spec.required) {
+      if (step[field] == null || step[field] === '') {
+        throw new Error(`${where} (${step.action}): "${field}" is required`);
+      }
+    }
+    for (const field of Object.keys(step)) {
+      if (!COMMON_FIELDS.includes(field) && !spec.allowed.includes(field)) {
+        throw new Error(`${where} (${step.action}): unknown field "${field}"`);
+      }
+    }
+    if (step.action === 'wait' && ['ms', 'selector', 'function', 'navigation'].every(field => step[field] == null)) {
+      throw new Error(`${where} (wait): needs "ms", "selector", "function" or "navigation"`);
+    }
+    if (step.action === 'scroll' && step.to != null && !['top', 'bottom'].includes(step.to)) {
+      throw new Error(`${where} (scroll): "to" must be "top" or "bottom"`);
+    }
+    return step;
+  }
+
+  /**
+   * Check whether a step loads another page
+   * @param {Object} step - Validated step
+   * @returns {boolean} True for `goto` and steps with `navigation: true`
+   */
+  static navigates(step) {
+    return step.action === 'goto' || step.navigation === true;
+  }
+
+  /**
+   * Steps that act on the page they start on: everything before the first step that loads
+   * another page (the steps after it were written for that other page)
+   * @param {Array<Object>} steps - Validated steps
+   * @returns {Array<Object>} Leading steps without navigation
+   */
+  static withoutNavigation(steps) {
+    const index = steps.findIndex(step => InteractionScript.navigates(step));
+    return index === -1 ? steps : steps.slice(0, index);
+  }
+
+  /**
+   * Short description of a step for logs
+   * @param {Object} step - Step
+   * @returns {string} Description
+   */
+  static describe(step) {
+    if (step.description) return step.description;
+    const target = step.url || step.selector || step.key || step.to || (step.ms != null ? `${step.ms} ms` : '') || step.function || '';
+    return target ? `${step.action} ${target}` : step.action;
+  }
+
+  /**
+   * Run a script on a page. A failing step stops the script unless it is optional;
+   * either way the page stays usable and can still be captured.
+   * @param {Object} page - Puppeteer page
+   * @param {Array<Object>} steps - Validated steps
+   * @param {Object} hooks - Callbacks
+   * @param {Function} hooks.onStep - Called after each step: ({ index, step, status, error }) with status 'done', 'skipped' or 'failed'
+   * @returns {Promise<Object>} `{ completed, skipped, failed }` step counts
+   */
+  static async run(page, steps, { onStep = () => {} } = {}) {
+    const result = { completed: 0, skipped: 0, failed: 0 };
+
+    for (const [index, step] of steps.entries()) {
+      try {
+        await InteractionScript.runStep(page, step);
+        result.completed++;
+        onStep({ index, step, status: 'done' });
+      } catch (error) {
+        if (step.optional) {
+          result.skipped++;
+          onStep({ index, step, status: 'skipped', error: error.message });
+          continue;
+        }
+        result.failed++;
+        onStep({ index, step, status: 'failed', error: error.message });
+        break;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Execute a single step
+   * @param {Object} page - Puppeteer page
+   * @param {Object} step - Validated step
+   */
+  static async runStep(page, step) {
+    const timeout = step.timeout ?? STEP_TIMEOUT;
+    const element = async () => {
+      const handle = await page.waitForSelector(step.selector, { visible: true, timeout });
+      if (!handle) throw new Error(`"${step.selector}" not found`);
+      return handle;
+    };
+
+    // Steps that load another page wait for that navigation while acting
+    const act = async (action) => {
+      if (step.navigation) {
+        await Promise.all([page.waitForNavigation({ timeout }), action()]);
+      } else {
+        await action();
+      }
+    };
+
+    switch (step.action) {
+      case 'goto':
+        await page.goto(step.url, { waitUntil: 'load', timeout });
+        await InteractionScript.settle(page, timeout);
+        break;
+      case 'click': {
+        const handle = await element();
+        await act(() => handle.click({ button: step.button || 'left', count: step.clickCount || 1 }));
+        await InteractionScript.settle(page, timeout);
+        break;
+      }
+      case 'type': {
+        const handle = await element();
+        if (step.clear) {
+          await handle.click({ count: 3 });
+          await page.keyboard.press('Backspace');
+        }
+        await handle.type(String(step.text), { delay: step.delay || 0 });
+        break;
+      }
+      case 'select':
+        await element();
+        await page.select(step.selector, String(step.value));
+        await InteractionScript.settle(page, timeout);
+        break;
+      case 'press':
+        if (step.selector) await (await element()).focus();
+        await act(() => page.keyboard.press(step.key));
+        await InteractionScript.settle(page, timeout);
+        break;
+      case 'hover':
+        await (await element()).hover();
+        break;
+      case 'wait':
+        if (step.navigation) await page.waitForNavigation({ timeout });
+        if (step.selector) await page.waitForSelector(step.selector, { timeout });
+        if (step.function) await page.waitForFunction(step.function, { timeout });
+        if (step.ms) await new Promise(resolve => setTimeout(resolve, step.ms));
+        break;
+      case 'scroll':
+        if (step.selector) {
+          await (await element()).scrollIntoView();
+        } else {
+          await page.evaluate(({ to, x, y }) => {
+            if (to === 'top') window.scrollTo(0, 0);
+            else if (to === 'bottom') window.scrollTo(0, document.documentElement.scrollHeight);
+            else window.scrollBy(x || 0, y ?? window.innerHeight);
+          }, { to: step.to, x: step.x, y: step.y });
+        }
+        await InteractionScript.settle(page, timeout);
+        break;
+      case 'evaluate':
+        // A snippet is a function body; it may return a value or a promise
+        await page.evaluate(new Function(step.script));
+        break;
+    }
+  }
+
+  /**
+   * Give requests started by a step a moment to finish (never fails)
+   * @param {Object} page - Puppeteer page
+   * @param {number} timeout - Maximum wait in ms
+   */
+  static async settle(page, timeout) {
+    await page.waitForNetworkIdle({ idleTime: SETTLE_IDLE_TIME, concurrency: 2, timeout }).catch(() => {});
+  }
+}
+
+export default InteractionScript;
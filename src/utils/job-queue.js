@@ -0,0 +1,263 @@
+/**
+ * Priority queue of clone jobs with a concurrency limit and deduplication of identical jobs.
+ * Job states: queued -> running -> done | failed | cancelled.
+ *
+ * Jobs are kept in display order: a new job is inserted after every queued job of the same or higher
+ * priority, and the first queued job in that order starts next. Reordering moves a job in that list.
+ */
+class JobQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Maximum number of running jobs
+   * @param {number} options.keepFinished - Finished jobs kept for display/retry
+   * @param {Function} options.run - Runs a job: (job) => Promise<result>
+   * @param {Function} options.getKey - Deduplication key of a job's options
+   * @param {Function} options.onChange - Called with the job list whenever it changes
+   */
+  constructor({ concurrency = 1, keepFinished = 50, run, getKey = options => JSON.stringify(options), onChange = () => {} }) {
+    this.concurrency = Math.max(1, concurrency);
+    this.keepFinished = keepFinished;
+    this.run = run;
+    this.getKey = getKey;
+    this.onChange = onChange;
+    this.jobs = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Queue a job, or return the queued/running job with the same key
+   * @param {Object} options - Job options passed to run()
+   * @param {Object} settings - Queue settings
+   * @param {number} settings.priority - Higher runs first (default 0)
+   * @returns {Object} `{ job, promise }`; the promise settles with the job's first run
+   */
+  add(options, { priority = 0 } = {}) {
+    const key = this.getKey(options);
+    const existing = this.jobs.find(job => job.key === key && (job.state === 'queued' || job.state === 'running'));
+    if (existing) {
+      if (priority > existing.priority && existing.state === 'queued') {
+        existing.priority = priority;
+        this.reposition(existing);
+        this.changed();
+      }
+      return { job: existing, promise: existing.promise, duplicate: true };
+    }
+
+    const job = {
+      id: this.nextId++,
+      key,
+      url: options.url,
+      options,
+      priority,
+      state: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      attempts: 0
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.settle = { resolve, reject };
+    });
+    // Callers that never await the promise must not cause unhandled rejections
+    job.promise.catch(() => {});
+
+    this.jobs.push(job);
+    this.reposition(job);
+    this.changed();
+    this.pump();
+    return { job, promise: job.promise, duplicate: false };
+  }
+
+  /**
+   * Move a queued job to its place by priority (after queued jobs of the same or higher priority)
+   * @param {Object} job - Queued job
+   */
+  reposition(job) {
+    this.jobs.splice(this.jobs.indexOf(job), 1);
+    let index = 0;
+    this.jobs.forEach((other, position) => {
+      if (other.state !== 'queued' || other.priority >= job.priority) index = position + 1;
+    });
+    this.jobs.splice(index, 0, job);
+  }
+
+  /**
+   * Find a job by ID
+   * @param {number} id - Job ID
+   * @returns {Object|undefined} Job
+   */
+  get(id) {
+    return this.jobs.find(job => job.id === id);
+  }
+
+  /**
+   * Move a queued job up or down among the queued jobs
+   * @param {number} id - Job ID
+   * @param {number} offset - Positions to move (negative = earlier)
+   * @returns {boolean} True if the job moved
+   */
+  move(id, offset) {
+    const queued = this.jobs.filter(job => job.state === 'queued');
+    const from = queued.findIndex(job => job.id === id);
+    if (from === -1) return false;
+
+    const to = Math.min(queued.length - 1, Math.max(0, from + offset));
+    if (to === from) return false;
+
+    const target = queued[to];
+    const job = queued[from];
+    this.jobs.splice(this.jobs.indexOf(job), 1);
+    this.jobs.splice(this.jobs.indexOf(target) + (to > from ? 1 : 0), 0, job);
+    this.changed();
+    return true;
+  }
+
+  /**
+   * Queue a failed or cancelled job again
+   * @param {number} id - Job ID
+   * @returns {boolean} True if the job was re-queued
+   */
+  retry(id) {
+    const job = this.get(id);
+    if (!job || (job.state !== 'failed' && job.state !== 'cancelled')) return false;
+
+    job.state = 'queued';
+    job.error = null;
+    job.startedAt = null;
+    job.finishedAt = null;
+    this.reposition(job);
+    this.changed();
+    this.pump();
+    return true;
+  }
+
+  /**
+   * Remove a job that is not running
+   * @param {number} id - Job ID
+   * @returns {boolean} True if the job was removed
+   */
+  remove(id) {
+    const job = this.get(id);
+    if (!job || job.state === 'running') return false;
+
+    if (job.state === 'queued') this.finish(job, 'cancelled', null, 'removed from queue');
+    this.jobs.splice(this.jobs.indexOf(job), 1);
+    this.changed();
+    return true;
+  }
+
+  /**
+   * Cancel every queued job (running jobs are cancelled by the runner)
+   * @returns {number} Number of jobs cancelled
+   */
+  cancelQueued() {
+    const queued = this.jobs.filter(job => job.state === 'queued');
+    for (const job of queued) {
+      this.finish(job, 'cancelled', null, 'cancelled');
+    }
+    if (queued.length) this.changed();
+    return queued.length;
+  }
+
+  /**
+   * Change the concurrency limit and start jobs if there is room
+   * @param {number} concurrency - Maximum number of running jobs
+   */
+  setConcurrency(concurrency) {
+    this.concurrency = Math.max(1, parseInt(concurrency, 10) || 1);
+    this.pump();
+  }
+
+  /**
+   * Start queued jobs while there is room
+   */
+  pump() {
+    while (this.jobs.filter(job => job.state === 'running').length < this.concurrency) {
+      const job = this.jobs.find(candidate => candidate.state === 'queued');
+      if (!job) return;
+      this.start(job);
+    }
+  }
+
+  /**
+   * Run a job and record its outcome
+   * @param {Object} job - Queued job
+   */
+  start(job) {
+    job.state = 'running';
+    job.startedAt = new Date().toISOString();
+    job.attempts++;
+    this.changed();
+
+    Promise.resolve()
+      .then(() => this.run(job))
+      .then(
+        result => this.finish(job, 'done', result, null),
+        error => this.finish(job, error?.cancelled ? 'cancelled' : 'failed', null, error?.message || String(error))
+      )
+      .finally(() => {
+        this.prune();
+        this.changed();
+        this.pump();
+      });
+  }
+
+  /**
+   * Settle a job (its promise only settles once, retries report through onChange)
+   * @param {Object} job - Job
+   * @param {string} state - Final state
+   * @param {*} result - Result for done jobs
+   * @param {string|null} error - Error message for failed/cancelled jobs
+   */
+  finish(job, state, result, error) {
+    job.state = state;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    if (state === 'done') {
+      job.settle.resolve(result);
+    } else {
+      job.settle.reject(state === 'cancelled' ? Object.assign(new Error(error), { cancelled: true }) : new Error(error));
+    }
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond keepFinished
+   */
+  prune() {
+    const finished = this.jobs.filter(job => !['queued', 'running'].includes(job.state));
+    for (const job of finished.slice(0, Math.max(0, finished.length - this.keepFinished))) {
+      this.jobs.splice(this.jobs.indexOf(job), 1);
+    }
+  }
+
+  /**
+   * Serializable snapshot of the job list
+   * @returns {Array<Object>} Jobs in display order
+   */
+  list() {
+    return this.jobs.map(({ id, url, priority, state, createdAt, startedAt, finishedAt, error, attempts, result }) => ({
+      id,
+      url,
+      priority,
+      state,
+      createdAt,
+      startedAt,
+      finishedAt,
+      error,
+      attempts,
+      savedRelativePath: result?.savedRelativePath || null
+    }));
+  }
+
+  /**
+   * Notify the listener of a change
+   */
+  changed() {
+    this.onChange(this.list());
+  }
+}
+
+export default JobQueue;
@@ -0,0 +1,328 @@
+import path from 'path';
+import * as acorn from 'acorn';
+import FileUtils from './file-utils.js';
+
+// Bundles are parsed as modules first, then as classic scripts; both as leniently as acorn allows
+const PARSE_OPTIONS = {
+  ecmaVersion: 'latest',
+  allowHashBang: true,
+  allowReturnOutsideFunction: true,
+  allowImportExportEverywhere: true,
+  allowAwaitOutsideFunction: true
+};
+
+// Plain string literals worth resolving: absolute, protocol-relative or root-relative URLs
+const URL_LIKE = /^(https?:)?\/\/[^\s'"`]+$|^\/[^/\s'"`][^\s'"`]*$/i;
+
+// Module specifiers that are URLs (anything else is a bare specifier resolved by an import map)
+const URL_SPECIFIER = /^(\.{0,2}\/|[a-z][a-z0-9+.-]*:)/i;
+
+// Saved resource types a plain string literal may be rewritten to; pages, API responses and other
+// saved URLs stay live (the string may be a fetch target or an identifier)
+const ASSET_TYPES = ['script', 'stylesheet', 'image', 'font', 'media'];
+
+/**
+ * Rewrites URLs inside JavaScript so lazy chunks, module imports and hardcoded CDN URLs load
+ * the clone's copies. References are found on the parsed AST, never by text search:
+ *
+ * - Module specifiers (`import`/`export ... from`, `import()`) and `new URL(x, import.meta.url)`
+ *   resolve against the script, so they become paths relative to the script's local copy
+ * - Other string literals holding absolute or root-relative URLs resolve against the page that
+ *   runs the script (not the script's own URL, which may be on a CDN), so they become root-relative
+ *   paths of the clone (`/<host>/...`), valid when the clone is served from its assets/ folder.
+ *   Only URLs saved as assets (scripts, stylesheets, images, fonts, media) are rewritten
+ *
+ * References that cannot be rewritten safely (computed specifiers, URLs that were not saved)
+ * are reported instead.
+ */
+class JsRewriter {
+  /**
+   * @param {Object} options - Rewrite options
+   * @param {Object} options.savedFiles - Remote URL -> local file path
+   * @param {Function} options.getResourceType - Resource type a URL was saved as, or undefined if unknown
+   *   (then guessed from the URL)
+   * @param {string} options.assetsDir - Folder the clone is served from
+   */
+  constructor({ savedFiles = {}, getResourceType = () => undefined, assetsDir }) {
+    this.savedFiles = savedFiles;
+    this.getResourceType = getResourceType;
+    this.assetsDir = assetsDir;
+  }
+
+  /**
+   * Parse JavaScript source
+   * @param {string} source - Script or module source
+   * @returns {Object} ESTree program
+   * @throws {SyntaxError} If the source is neither a valid module nor a valid script
+   */
+  static parse(source) {
+    try {
+      return acorn.parse(source, { ...PARSE_OPTIONS, sourceType: 'module' });
+    } catch {
+      return acorn.parse(source, { ...PARSE_OPTIONS, sourceType: 'script' });
+    }
+  }
+
+  /**
+   * List the URL references of a program
+   * @param {string} source - Script or module source
+   * @returns {Array<Object>} `{ start, end, value, kind }` in source order; kind is 'module', 'meta-url'
+   *   (new URL(x, import.meta.url)) or 'string', and value is null for computed module specifiers
+   */
+  static collectReferences(source) {
+    const references = [];
+    const handled = new Set();
+    const literalValue = (node) => {
+      if (node?.type === 'Literal' && typeof node.value === 'string') return node.value;
+      if (node?.type === 'TemplateLiteral' && !node.expressions.length) return node.quasis[0].value.cooked;
+      return undefined;
+    };
+    const addSpecifier = (node, kind) => {
+      if (!node) return;
+      handled.add(node);
+      const value = literalValue(node);
+      references.push({ start: node.start, end: node.end, value: value ?? null, kind });
+    };
+    const isImportMetaUrl = node => node?.type === 'MemberExpression'
+      && node.object.type === 'MetaProperty' && node.object.meta.name === 'import'
+      && !node.computed && node.property.name === 'url';
+
+    const visit = (node) => {
+      if (!node || typeof node.type !== 'string') return;
+
+      if (['ImportDeclaration', 'ExportNamedDeclaration', 'ExportAllDeclaration', 'ImportExpression'].includes(node.type)) {
+        addSpecifier(node.source, 'module');
+      } else if (node.type === 'NewExpression' && node.callee.type === 'Identifier' && node.callee.name === 'URL'
+        && isImportMetaUrl(node.arguments[1])) {
+        addSpecifier(node.arguments[0], 'meta-url');
+      } else if (!handled.has(node)) {
+        const value = literalValue(node);
+        if (value !== undefined && URL_LIKE.test(value)) {
+          references.push({ start: node.start, end: node.end, value, kind: 'string' });
+        }
+      }
+
+      for (const key of Object.keys(node)) {
+        const child = node[key];
+        if (Array.isArray(child)) child.forEach(visit);
+        else if (child && typeof child.type === 'string') visit(child);
+      }
+    };
+
+    visit(JsRewriter.parse(source));
+    return references.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Source text of a string literal, in the quote style of the literal it replaces
+   * @param {string} value - String value
+   * @param {string} quote - `'`, `"` or a backtick
+   * @returns {string} Literal source
+   */
+  static quote(value, quote) {
+    const escaped = value.replace(/\\/g, '\\\\').split(quote).join(`\\${quote}`);
+    return quote === '`' ? `\`${escaped.replace(/\$\{/g, '\\${')}\`` : `${quote}${escaped}${quote}`;
+  }
+
+  /**
+   * Rewrite the URL references of a script file or inline script
+   * @param {string} source - Script or module source
+   * @param {Object} script - Where the script lives
+   * @param {string} script.baseUrl - URL the script's references resolve against (its own URL, or the page's for inline scripts)
+   * @param {string} script.localPath - Local path of the script (or of the page holding an inline script)
+   * @param {string} script.pageUrl - URL of the page running the script, for plain string literals
+   *   (defaults to baseUrl, right for inline scripts)
+   * @returns {Object} `{ code, rewritten, issues }`; issues are `{ reference, reason }`
+   */
+  rewrite(source, { baseUrl, localPath, pageUrl = baseUrl }) {
+    let references;
+    try {
+      references = JsRewriter.collectReferences(source);
+    } catch (error) {
+      return { code: source, rewritten: 0, issues: [{ reference: null, reason: `Could not parse: ${error.message}` }] };
+    }
+
+    const issues = [];
+    let code = source;
+    let rewritten = 0;
+    // Replace from the end so earlier offsets stay valid
+    for (const reference of references.reverse()) {
+      const original = source.slice(reference.start, reference.end);
+      if (reference.value === null) {
+        issues.push({ reference: original.slice(0, 120), reason: 'Computed module specifier' });
+        continue;
+      }
+
+      const replacement = this.mapReference(reference, reference.kind === 'string' ? pageUrl : baseUrl, localPath);
+      if (replacement === undefined) {
+        issues.push({ reference: reference.value, reason: 'Not saved in the clone' });
+        continue;
+      }
+      if (replacement === null || replacement === reference.value) continue;
+
+      code = code.slice(0, reference.start) + JsRewriter.quote(replacement, original[0]) + code.slice(reference.end);
+      rewritten++;
+    }
+
+    return { code, rewritten, issues: issues.reverse() };
+  }
+
+  /**
+   * Local replacement of one reference
+   * @param {Object} reference - Reference from collectReferences
+   * @param {string} baseUrl - URL the reference resolves against (the page's for plain strings)
+   * @param {string} localPath - Local path of the script (or page)
+   * @returns {string|null|undefined} Replacement; null to leave the reference alone, undefined when it
+   *   should be local (module, asset) but was not saved
+   */
+  mapReference({ value, kind }, baseUrl, localPath) {
+    // Bare specifiers go through the import map, which is rewritten with the page
+    if (kind !== 'string' && !URL_SPECIFIER.test(value)) return null;
+
+    let resolved;
+    try {
+      resolved = new URL(value, baseUrl);
+    } catch {
+      return null;
+    }
+    if (!/^https?:$/.test(resolved.protocol)) return null;
+    const hash = resolved.hash;
+    resolved.hash = '';
+    const absoluteUrl = resolved.toString();
+
+    if (kind === 'string') {
+      // A base URL chunks are appended to (webpack publicPath, CDN prefix) maps to its local folder
+      const directory = absoluteUrl.endsWith('/');
+      const local = directory ? this.findLocalDirectory(absoluteUrl, true) : this.findLocalAsset(absoluteUrl);
+      if (local) return this.toRootPath(local) + (directory ? '/' : '') + hash;
+      // Only missing assets are worth reporting; other strings are API endpoints, links, identifiers...
+      return !directory && FileUtils.guessResourceType(absoluteUrl) !== 'other' ? undefined : null;
+    }
+
+    const local = this.findLocal(absoluteUrl);
+    if (!local) return undefined;
+    const relative = FileUtils.toRelativeHref(path.dirname(localPath), local);
+    return (/^\.{1,2}\//.test(relative) ? relative : `./${relative}`) + hash;
+  }
+
+  /**
+   * Local path of a saved URL
+   * @param {string} absoluteUrl - URL without fragment
+   * @returns {string|null} Local path
+   */
+  findLocal(absoluteUrl) {
+    const localPath = this.savedFiles[absoluteUrl];
+    return localPath && path.isAbsolute(localPath) ? localPath : null;
+  }
+
+  /**
+   * Local path of a URL saved as an asset
+   * @param {string} absoluteUrl - URL without fragment
+   * @returns {string|null} Local path, null for URLs not saved or saved as something else (page, API response)
+   */
+  findLocalAsset(absoluteUrl) {
+    return this.isAsset(absoluteUrl) ? this.findLocal(absoluteUrl) : null;
+  }
+
+  /**
+   * Check whether a URL was saved as an asset
+   * @param {string} absoluteUrl - URL without fragment
+   * @returns {boolean} True for scripts, stylesheets, images, fonts and media
+   */
+  isAsset(absoluteUrl) {
+    return ASSET_TYPES.includes(this.getResourceType(absoluteUrl) ?? FileUtils.guessResourceType(absoluteUrl));
+  }
+
+  /**
+   * Local folder of a URL prefix, found through a saved file under it
+   * @param {string} prefix - URL ending in '/'
+   * @param {boolean} assetsOnly - Only consider files saved as assets
+   * @returns {string|null} Local folder
+   */
+  findLocalDirectory(prefix, assetsOnly = false) {
+    for (const [url, localPath] of Object.entries(this.savedFiles)) {
+      if (!url.startsWith(prefix) || !path.isAbsolute(localPath)) continue;
+      if (assetsOnly && !this.isAsset(url)) continue;
+      const remainder = url.slice(prefix.length).split(/[?#]/)[0].split('/');
+      const segments = localPath.split(path.sep);
+      // Mirrored paths keep every folder; only the file name may differ (query hash, extension)
+      if (remainder.length > 1 && segments.slice(-remainder.length, -1).join('/') !== remainder.slice(0, -1).join('/')) continue;
+      return segments.slice(0, -remainder.length).join(path.sep);
+    }
+    return null;
+  }
+
+  /**
+   * Root-relative URL of a local file or folder, as served from the assets folder
+   * @param {string} localPath - Local path inside the assets folder
+   * @returns {string} Path starting with '/'
+   */
+  toRootPath(localPath) {
+    const relative = path.relative(this.assetsDir, localPath).split(path.sep).map(encodeURIComponent).join('/');
+    return `/${relative}`;
+  }
+
+  /**
+   * Rewrite the addresses of an import map (they resolve against the page)
+   * @param {string} json - Import map JSON
+   * @param {Object} page - Page holding the import map
+   * @param {string} page.baseUrl - Page base URL
+   * @param {string} page.localPath - Local path of the page
+   * @returns {Object} `{ json, rewritten, issues }`
+   */
+  rewriteImportMap(json, { baseUrl, localPath }) {
+    let importMap;
+    try {
+      importMap = JSON.parse(json);
+    } catch (error) {
+      return { json, rewritten: 0, issues: [{ reference: null, reason: `Invalid import map: ${error.message}` }] };
+    }
+
+    const issues = [];
+    let rewritten = 0;
+    const mapAddresses = (addresses = {}) => {
+      for (const [specifier, address] of Object.entries(addresses)) {
+        if (typeof address !== 'string') continue;
+        // Addresses ending in '/' map whole package folders
+        const local = address.endsWith('/')
+          ? this.mapFolder(address, baseUrl, localPath)
+          : this.mapReference({ value: address, kind: 'module' }, baseUrl, localPath);
+        if (local === undefined) {
+          issues.push({ reference: address, reason: 'Not saved in the clone' });
+        } else if (local !== null && local !== address) {
+          addresses[specifier] = local;
+          rewritten++;
+        }
+      }
+    };
+
+    mapAddresses(importMap.imports);
+    for (const scope of Object.values(importMap.scopes || {})) {
+      mapAddresses(scope);
+    }
+    return { json: rewritten ? JSON.stringify(importMap, null, 2) : json, rewritten, issues };
+  }
+
+  /**
+   * Relative local folder of an import map folder address
+   * @param {string} address - Address ending in '/'
+   * @param {string} baseUrl - Page base URL
+   * @param {string} localPath - Local path of the page
+   * @returns {string|null|undefined} Replacement (see mapReference)
+   */
+  mapFolder(address, baseUrl, localPath) {
+    let prefix;
+    try {
+      prefix = new URL(address, baseUrl).toString();
+    } catch {
+      return null;
+    }
+    if (!/^https?:/.test(prefix)) return null;
+    const local = this.findLocalDirectory(prefix);
+    if (!local) return undefined;
+    const relative = FileUtils.toRelativeHref(path.dirname(localPath), local);
+    return `${/^\.{1,2}\//.test(relative) ? relative : `./${relative}`}/`;
+  }
+}
+
+export default JsRewriter;
@@ -0,0 +1,218 @@
+// Clone phases in run order; capture phases repeat for every crawled page
+const PHASES = {
+  launching: 'Launching browser',
+  navigating: 'Navigating',
+  waiting: 'Waiting for network idle',
+  interacting: 'Running interaction steps',
+  capturing: 'Taking screenshots',
+  saving: 'Saving resources',
+  rewriting: 'Rewriting HTML',
+  css: 'Processing CSS',
+  scripts: 'Rewriting scripts',
+  logs: 'Writing logs',
+  done: 'Done'
+};
+
+// Share of the overall percentage for each block of phases
+const BLOCKS = [
+  { phases: ['launching'], weight: 5 },
+  { phases: ['navigating', 'waiting', 'interacting', 'capturing'], weight: 50 },
+  { phases: ['saving'], weight: 15 },
+  { phases: ['rewriting'], weight: 15 },
+  { phases: ['css'], weight: 8 },
+  { phases: ['scripts'], weight: 2 },
+  { phases: ['logs'], weight: 5 }
+];
+
+/**
+ * Progress of one clone run: current phase, estimated totals, bytes, elapsed time and ETA
+ *
+ * Resource totals are estimates: the resources the renderer saw while browsing (`networkData`)
+ * for the start page, raised to the number of requests actually started as they come in.
+ */
+class ProgressTracker {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {Function} options.send - Sends a progress payload to the renderer
+   * @param {number} options.expectedResources - Resources the start page is expected to load
+   * @param {number} options.pagesTotal - Pages expected to be captured
+   */
+  constructor({ send, expectedResources = 0, pagesTotal = 1 }) {
+    this.send = send;
+    this.expectedResources = expectedResources;
+    this.pagesTotal = Math.max(1, pagesTotal);
+    this.pagesDone = 0;
+    this.startedAt = Date.now();
+    this.phase = 'launching';
+    this.phaseDone = 0;
+    this.phaseTotal = 0;
+    this.requestsStarted = 0;
+    this.requestsFinished = 0;
+    this.page = { expected: expectedResources, started: 0, finished: 0 };
+    this.processed = 0;
+    this.downloaded = 0;
+    this.skipped = 0;
+    this.bytes = 0;
+    this.currentFile = '';
+  }
+
+  /**
+   * Enter a phase and report it
+   * @param {string} phase - Phase name (see PHASES)
+   * @param {Object} options - Phase options
+   * @param {number} options.total - Units of work in the phase (pages, files...), if known
+   */
+  setPhase(phase, { total = 0 } = {}) {
+    this.phase = phase;
+    this.phaseDone = 0;
+    this.phaseTotal = total;
+    this.report();
+  }
+
+  /**
+   * Start capturing a page
+   * @param {number} pagesDone - Pages captured so far
+   * @param {number} pagesTotal - Current estimate of the pages to capture
+   */
+  startPage(pagesDone, pagesTotal) {
+    this.pagesDone = pagesDone;
+    this.pagesTotal = Math.max(1, pagesTotal);
+    this.page = { expected: pagesDone === 0 ? this.expectedResources : 0, started: 0, finished: 0 };
+    this.setPhase('navigating');
+  }
+
+  /**
+   * Record one unit of work done in the current phase
+   * @param {number} count - Units done
+   */
+  advance(count = 1) {
+    this.phaseDone += count;
+    this.report();
+  }
+
+  /**
+   * Set the work done in the current phase when its total grows while it runs
+   * @param {number} done - Units done
+   * @param {number} total - Units known so far
+   */
+  update(done, total) {
+    this.phaseDone = done;
+    this.phaseTotal = total;
+    this.report();
+  }
+
+  /**
+   * A resource request was sent
+   */
+  requestStarted() {
+    this.requestsStarted++;
+    this.page.started++;
+  }
+
+  /**
+   * A resource request finished or failed
+   */
+  requestFinished() {
+    this.requestsFinished++;
+    this.page.finished++;
+  }
+
+  /**
+   * Record a stored (or kept) resource
+   * @param {Object} resource - Resource details
+   * @param {string} resource.status - 'downloaded' or 'skipped'
+   * @param {number} resource.bytes - Body size
+   * @param {string} resource.file - File name shown as the current file
+   */
+  resourceStored({ status, bytes = 0, file = '' }) {
+    this.processed++;
+    if (status === 'downloaded') this.downloaded++;
+    else this.skipped++;
+    this.bytes += bytes;
+    this.currentFile = file;
+  }
+
+  /**
+   * Estimated number of resources in the whole run
+   * @returns {number} Resource total
+   */
+  get resourceTotal() {
+    return Math.max(this.expectedResources, this.requestsStarted, this.processed);
+  }
+
+  /**
+   * Fraction of the current phase that is done
+   * @returns {number} 0..1
+   */
+  phaseFraction() {
+    if (this.phase === 'navigating') {
+      const total = Math.max(this.page.expected, this.page.started);
+      return total ? Math.min(1, this.page.finished / total) : 0;
+    }
+    if (['waiting', 'interacting', 'capturing'].includes(this.phase)) return 1;
+    if (this.phase === 'done') return 1;
+    return this.phaseTotal ? Math.min(1, this.phaseDone / this.phaseTotal) : 0;
+  }
+
+  /**
+   * Overall completion of the run
+   * @returns {number} 0..100
+   */
+  percentage() {
+    if (this.phase === 'done') return 100;
+
+    let percentage = 0;
+    for (const block of BLOCKS) {
+      if (!block.phases.includes(this.phase)) {
+        percentage += block.weight;
+        continue;
+      }
+
+      let fraction = this.phaseFraction();
+      if (block.phases.includes('navigating')) {
+        // Navigation loads most of a page's resources, the idle wait settles the rest
+        const pageFraction = { navigating: 0.8 * fraction, waiting: 0.9, interacting: 0.95 }[this.phase] ?? 0.97;
+        fraction = (this.pagesDone + pageFraction) / this.pagesTotal;
+      }
+      return Math.min(99, Math.round(percentage + block.weight * fraction));
+    }
+    return 99;
+  }
+
+  /**
+   * Plain progress snapshot for the renderer
+   * @returns {Object} Progress data
+   */
+  snapshot() {
+    const elapsedMs = Date.now() - this.startedAt;
+    const percentage = this.percentage();
+    return {
+      phase: this.phase,
+      phaseLabel: PHASES[this.phase] || this.phase,
+      phaseProgress: Math.round(this.phaseFraction() * 100),
+      phaseDone: this.phaseDone,
+      phaseTotal: this.phaseTotal,
+      pagesDone: this.pagesDone,
+      pagesTotal: this.pagesTotal,
+      total: this.resourceTotal,
+      processed: this.processed,
+      downloaded: this.downloaded,
+      skipped: this.skipped,
+      bytes: this.bytes,
+      percentage,
+      elapsedMs,
+      etaMs: percentage >= 1 && percentage < 100 ? Math.round(elapsedMs * (100 - percentage) / percentage) : null,
+      currentFile: this.currentFile
+    };
+  }
+
+  /**
+   * Send the current progress, optionally with extra payload fields
+   * @param {Object} extra - Extra payload fields
+   */
+  report(extra = {}) {
+    this.send({ ...extra, progress: this.snapshot() });
+  }
+}
+
+export default ProgressTracker;
@@ -0,0 +1,92 @@
+// Attribute marking <style> elements written from the CSSOM ('cssom' = rules inserted at runtime, 'adopted' = constructable sheet)
+const MARKER_ATTRIBUTE = 'data-cloner-styles';
+
+/**
+ * Runs in the page: write CSSOM rules that exist only at runtime into real <style> elements.
+ * Must stay self-contained (it is serialized by page.evaluate).
+ * @param {string} marker - Attribute set on every written <style>
+ * @returns {Object} `{ styleElements, adoptedSheets, shadowRoots, rules }` counts
+ */
+function inlineRuntimeStyles(marker) {
+  const stats = { styleElements: 0, adoptedSheets: 0, shadowRoots: 0, rules: 0 };
+
+  const serialize = (sheet) => {
+    try {
+      return Array.from(sheet.cssRules, rule => rule.cssText).join('\n');
+    } catch {
+      return null; // Cross-origin sheet
+    }
+  };
+  // Rules a <style> would give from its own text, serialized the same way as the live sheet
+  const parse = (text) => {
+    try {
+      const sheet = new CSSStyleSheet();
+      sheet.replaceSync(text);
+      return serialize(sheet);
+    } catch {
+      return null;
+    }
+  };
+
+  const writeStyleElements = (root) => {
+    for (const style of root.querySelectorAll('style')) {
+      if (!style.sheet) continue;
+      const rules = serialize(style.sheet);
+      // insertRule/deleteRule (styled-components, emotion) change the sheet but not the element's text
+      if (rules === null || rules === parse(style.textContent)) continue;
+      stats.rules += style.sheet.cssRules.length;
+      style.textContent = rules;
+      style.setAttribute(marker, 'cssom');
+      stats.styleElements++;
+    }
+  };
+
+  // Adopted sheets cascade after the tree's own styles, so their copies go last
+  const writeAdoptedSheets = (root, container) => {
+    for (const sheet of root.adoptedStyleSheets || []) {
+      const rules = serialize(sheet);
+      if (!rules) continue;
+      const style = document.createElement('style');
+      if (sheet.media.mediaText) style.media = sheet.media.mediaText;
+      style.setAttribute(marker, 'adopted');
+      style.textContent = rules;
+      container.appendChild(style);
+      stats.adoptedSheets++;
+      stats.rules += sheet.cssRules.length;
+    }
+  };
+
+  const walk = (root, container) => {
+    writeStyleElements(root);
+    writeAdoptedSheets(root, container);
+    for (const element of root.querySelectorAll('*')) {
+      if (element.shadowRoot) {
+        stats.shadowRoots++;
+        walk(element.shadowRoot, element.shadowRoot);
+      }
+    }
+  };
+
+  walk(document, document.body || document.head || document.documentElement);
+  return stats;
+}
+
+/**
+ * Styles that live only in the CSSOM: rules added with insertRule() and constructable
+ * stylesheets in adoptedStyleSheets, in the document and in open shadow roots.
+ * page.content() serializes neither, so CSS-in-JS sites come out unstyled without this.
+ */
+class RuntimeStyles {
+  /**
+   * Write the page's runtime styles into <style> elements of its DOM, right before it is serialized.
+   * The page renders the same afterwards: rewritten elements carry the rules they already had and
+   * copies of adopted sheets repeat rules that already apply.
+   * @param {Object} page - Puppeteer page or frame
+   * @returns {Promise<Object>} `{ styleElements, adoptedSheets, shadowRoots, rules }` counts
+   */
+  static async inline(page) {
+    return page.evaluate(inlineRuntimeStyles, MARKER_ATTRIBUTE);
+  }
+}
+
+export default RuntimeStyles;
@@ -0,0 +1,102 @@
+import * as cheerio from 'cheerio';
+
+// Declarative shadow roots as serialized by Element.getHTML()
+const SHADOW_TEMPLATE = 'template[shadowrootmode]';
+
+// domhandler node types of elements (<script> and <style> have their own)
+const ELEMENT_TYPES = ['tag', 'script', 'style'];
+
+/**
+ * Runs in the page: serialize the document with its open shadow roots as declarative shadow DOM.
+ * Must stay self-contained (it is serialized by page.evaluate).
+ * @returns {Object|null} `{ html, shadowRoots, links }`, or null when the browser has no Element.getHTML()
+ */
+function serializeDocument() {
+  const root = document.documentElement;
+  if (!root || typeof root.getHTML !== 'function') return null;
+
+  const shadowRoots = [];
+  const links = [];
+  const walk = (node) => {
+    for (const element of node.querySelectorAll('*')) {
+      if (!element.shadowRoot) continue;
+      shadowRoots.push(element.shadowRoot);
+      links.push(...Array.from(element.shadowRoot.querySelectorAll('a[href]'), anchor => anchor.href));
+      walk(element.shadowRoot);
+    }
+  };
+  walk(document);
+
+  const escape = value => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+  const attributes = Array.from(root.attributes, attribute => ` ${attribute.name}="${escape(attribute.value)}"`).join('');
+  const html = Array.from(document.childNodes, (node) => {
+    if (node !== root) return new XMLSerializer().serializeToString(node);
+    return `<html${attributes}>${root.getHTML({ shadowRoots })}</html>`;
+  }).join('');
+
+  return { html, shadowRoots: shadowRoots.length, links };
+}
+
+/**
+ * Shadow DOM in captured pages. page.content() drops shadow roots, leaving web components as empty
+ * custom elements; open roots are serialized as declarative shadow DOM (`<template shadowrootmode>`)
+ * instead, and can optionally be flattened into the light DOM for static viewing.
+ */
+class ShadowDom {
+  /**
+   * Serialize a page with its open shadow roots
+   * @param {Object} page - Puppeteer page or frame
+   * @returns {Promise<Object>} `{ html, shadowRoots, links }` (links = anchors inside shadow trees);
+   *   falls back to page.content() with no shadow roots on browsers without Element.getHTML()
+   */
+  static async serialize(page) {
+    const serialized = await page.evaluate(serializeDocument);
+    return serialized || { html: await page.content(), shadowRoots: 0, links: [] };
+  }
+
+  /**
+   * Replace every declarative shadow root with its rendered content: the shadow tree becomes the
+   * host's children, each <slot> replaced by the light DOM nodes assigned to it (or its fallback
+   * content). Styles from shadow trees then apply document-wide and `:host` rules no longer match.
+   * @param {string} html - HTML with declarative shadow roots
+   * @returns {Object} `{ html, flattened }` with the flattened HTML and the number of shadow roots flattened
+   */
+  static flatten(html) {
+    const $ = cheerio.load(html);
+    // Descendants come later in document order, so nested roots are flattened before their hosts
+    const templates = $(SHADOW_TEMPLATE).toArray().reverse();
+
+    for (const template of templates) {
+      const $host = $(template.parent);
+
+      // Light DOM children by the slot they are assigned to ('' = default slot)
+      const assigned = new Map();
+      $host.contents().each((_, node) => {
+        if (node === template || (node.type === 'text' && !node.data.trim())) return;
+        const isElement = ELEMENT_TYPES.includes(node.type);
+        if (!isElement && node.type !== 'text') return;
+        const name = isElement ? ($(node).attr('slot') || '') : '';
+        if (!assigned.has(name)) assigned.set(name, []);
+        assigned.get(name).push(node);
+      });
+
+      // parse5 keeps a template's content in a document fragment under the <template>
+      const content = template.children.flatMap(node => (node.type === 'root' ? node.children : [node]));
+
+      // Like the browser, only the first slot with a name receives its nodes
+      $(content).filter('slot').add($(content).find('slot')).each((_, slot) => {
+        const $slot = $(slot);
+        const name = $slot.attr('name') || '';
+        const nodes = assigned.get(name);
+        assigned.delete(name);
+        $slot.replaceWith(nodes?.length ? nodes : $slot.contents());
+      });
+
+      $host.empty().append(content);
+    }
+
+    return { html: $.html(), flattened: templates.length };
+  }
+}
+
+export default ShadowDom;
@@ -1,6 +1,7 @@
 import fs from 'fs-extra';
 import path from 'path';
 import mime from 'mime';
+import UrlMapper from './url-mapper.js';
 
 /**
  * Static file analyzer for extracting and downloading static resources
@@ -204,9 +205,13 @@ class StaticAnalyzer {
       }
 
       const buffer = await response.arrayBuffer();
-      const urlObj = new URL(url);
-      const filePath = urlObj.pathname.replace(/^\//, '').replace(/\//g, '_');
-      const localPath = path.join(outputDir, 'assets', filePath);
+      const assetsDir = path.join(outputDir, 'assets');
+      const mapped = UrlMapper.map(url, { contentType: response.headers.get('content-type') });
+      const resolved = await UrlMapper.resolveConflicts(assetsDir, UrlMapper.safeJoin(assetsDir, mapped.relativePath));
+      const localPath = resolved.localPath;
+      for (const warning of [...mapped.warnings, ...resolved.warnings]) {
+        console.warn(`Path altered for ${url}: ${warning}`);
+      }
 
       await fs.ensureDir(path.dirname(localPath));
       await fs.writeFile(localPath, Buffer.from(buffer));
@@ -2,6 +2,7 @@ import express from 'express';
 import path from 'path';
 import fs from 'fs-extra';
 import { createServer } from 'http';
+import ApiReplay from './api-replay.js';
 
 let server = null;
 
@@ -32,6 +33,66 @@ async function findAvailablePort(startPort = 8080) {
   });
 }
 
+/**
+ * Find the HTML file a request path is served from (same lookup as the static handler)
+ * @param {string} serveDir - Served directory
+ * @param {string} requestPath - Request path
+ * @returns {Promise<string|null>} HTML file path, or null when the path is not an HTML page
+ */
+async function resolveHtmlFile(serveDir, requestPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(requestPath);
+  } catch {
+    return null;
+  }
+  const requested = path.join(serveDir, decoded);
+  if (requested !== serveDir && !requested.startsWith(serveDir + path.sep)) return null;
+
+  // Folder indexes only once the path ends in '/' (the static handler redirects there first)
+  const indexes = requestPath.endsWith('/') ? [path.join(requested, 'index.html'), path.join(requested, 'index.htm')] : [];
+  const candidates = /\.html?$/i.test(requested) ? [requested] : [...indexes, `${requested}.html`, `${requested}.htm`];
+  for (const candidate of candidates) {
+    const stats = await fs.stat(candidate).catch(() => null);
+    if (stats?.isFile()) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Answer API calls from the recorded responses: calls routed by the instrumented page
+ * (/__api/<scheme>/<host>/...) always, same-origin calls when a recorded path matches.
+ * Mounted after the file handlers, so saved files win over recorded calls
+ * @param {ApiReplay} replay - Recorded calls
+ * @returns {Function} Express middleware
+ */
+function replayMiddleware(replay) {
+  return (req, res, next) => {
+    const routed = ApiReplay.parseRoutedPath(req.path);
+    const search = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+    const match = replay.match({
+      method: req.method,
+      origin: routed?.origin ?? null,
+      pathname: routed?.pathname ?? req.path,
+      search,
+      body: Buffer.isBuffer(req.body) ? req.body.toString('utf8') : ''
+    });
+
+    if (!match) {
+      if (!routed) return next();
+      console.warn(`⚠️ No recorded response for ${req.method} ${routed.origin}${routed.pathname}${search}`);
+      return res.status(404).json({ error: 'No recorded response', method: req.method, url: `${routed.origin}${routed.pathname}${search}` });
+    }
+
+    if (!match.exact) {
+      console.log(`📼 Replaying the closest recorded query for ${req.method} ${req.originalUrl}`);
+    }
+    res.status(match.entry.status || 200);
+    res.set(ApiReplay.responseHeaders(match.entry));
+    res.send(match.entry.responseText ?? '');
+  };
+}
+
 /**
  * Static server utility for serving cloned content
  */
@@ -40,13 +101,20 @@ export default {
    * Start a static server for the given directory
    * @param {string} dir - Directory to serve
    * @param {number} port - Port to listen on
-   * @returns {Object} Server handle with stop method
+   * @param {Object} options - Server options
+   * @param {Object} options.replay - Replay recorded API calls: `{ logsPath, matchBody }` (null serves files only)
+   * @returns {Object} Server handle with stop method (and `replay: { calls, origins }` in replay mode)
+   * @throws {Error} In replay mode, if the API logs cannot be loaded
    */
-  start: async (dir, port = 8080) => {
+  start: async (dir, port = 8080, { replay: replayOptions = null } = {}) => {
     if (server) {
       return { stop: () => {} };
     }
     
+    const replay = replayOptions 
+      ? await ApiReplay.load(replayOptions.logsPath, { matchBody: replayOptions.matchBody }) 
+      : null;
+    
     // Find available port
     const actualPort = await findAvailablePort(port);
     if (actualPort !== port) {
@@ -78,6 +146,17 @@ export default {
       });
     });
     
+    // Replay mode: pages are instrumented to send their API calls here
+    if (replay) {
+      app.use(async (req, res, next) => {
+        if (req.method !== 'GET') return next();
+        const htmlPath = await resolveHtmlFile(serveDir, req.path);
+        if (!htmlPath) return next();
+        const html = await fs.readFile(htmlPath, 'utf8');
+        res.type('html').send(replay.instrument(html));
+      });
+    }
+    
     // Serve static files
     app.use(express.static(serveDir, {
       index: ['index.html', 'index.htm'],
@@ -113,6 +192,11 @@ export default {
       next();
     });
     
+    // Replay mode: whatever no file answers may be a recorded API call
+    if (replay) {
+      app.use(express.raw({ type: () => true, limit: '50mb' }), replayMiddleware(replay));
+    }
+    
     // Final 404 handler
     app.use((req, res) => {
       res.status(404).send('File not found');
@@ -140,7 +224,8 @@ export default {
         server = null; 
       },
       port: actualPort,
-      url: `http://localhost:${actualPort}`
+      url: `http://localhost:${actualPort}`,
+      replay: replay ? { calls: replay.size, origins: [...replay.origins] } : null
     };
   }
 };
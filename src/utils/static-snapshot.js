@@ -0,0 +1,124 @@
+import * as cheerio from 'cheerio';
+
+// <script type> values that hold data rather than code (JSON-LD, JSON payloads); kept in static snapshots
+const DATA_SCRIPT_TYPE = /json/i;
+
+// Attributes that can hold a javascript: URL
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href', 'data'];
+
+// Preloads of scripts, useless once the scripts are gone
+const SCRIPT_PRELOADS = 'link[rel~="modulepreload"], link[rel~="preload"][as="script"]';
+
+/**
+ * Runs in the page: write the live state of form controls into their attributes and replace
+ * canvases with images of their contents, in the document and in open shadow roots.
+ * Must stay self-contained (it is serialized by page.evaluate).
+ * @returns {Object} `{ controls, canvases, canvasesFailed }` counts
+ */
+function freezeDocument() {
+  const stats = { controls: 0, canvases: 0, canvasesFailed: 0 };
+
+  const freezeControls = (root) => {
+    for (const input of root.querySelectorAll('input')) {
+      if (input.type === 'checkbox' || input.type === 'radio') {
+        input.toggleAttribute('checked', input.checked);
+      } else if (input.type === 'password') {
+        input.removeAttribute('value'); // Never write typed secrets into the clone
+      } else if (input.type !== 'file') {
+        input.setAttribute('value', input.value);
+      }
+      stats.controls++;
+    }
+    for (const textarea of root.querySelectorAll('textarea')) {
+      textarea.textContent = textarea.value;
+      stats.controls++;
+    }
+    for (const select of root.querySelectorAll('select')) {
+      for (const option of select.options) {
+        option.toggleAttribute('selected', option.selected);
+      }
+      stats.controls++;
+    }
+  };
+
+  // The image takes over the canvas's attributes: width/height give it the same default size, class/style the same layout
+  const freezeCanvases = (root) => {
+    for (const canvas of root.querySelectorAll('canvas')) {
+      let dataUrl;
+      try {
+        dataUrl = canvas.toDataURL('image/png');
+      } catch {
+        stats.canvasesFailed++; // Tainted by cross-origin images
+        continue;
+      }
+      const image = document.createElement('img');
+      for (const attribute of canvas.attributes) {
+        image.setAttribute(attribute.name, attribute.value);
+      }
+      image.setAttribute('src', dataUrl);
+      canvas.replaceWith(image);
+      stats.canvases++;
+    }
+  };
+
+  const walk = (root) => {
+    freezeControls(root);
+    freezeCanvases(root);
+    for (const element of root.querySelectorAll('*')) {
+      if (element.shadowRoot) walk(element.shadowRoot);
+    }
+  };
+  walk(document);
+  return stats;
+}
+
+/**
+ * Static snapshot mode: an inert copy of what was on screen. Scripts re-running against the clone
+ * tend to hydrate over, blank out or redirect away from the captured DOM, so the page state is
+ * baked into the DOM and everything executable is removed. The default "keep JS" mode saves the
+ * scripts instead.
+ */
+class StaticSnapshot {
+  /**
+   * Bake the live form state and canvas contents into the DOM, right before it is serialized
+   * @param {Object} page - Puppeteer page or frame
+   * @returns {Promise<Object>} `{ controls, canvases, canvasesFailed }` counts
+   */
+  static async freeze(page) {
+    return page.evaluate(freezeDocument);
+  }
+
+  /**
+   * Remove scripts, event handler attributes, javascript: URLs, <noscript> and script preloads
+   * @param {string} html - Serialized document
+   * @returns {Object} `{ html, scripts, handlers, urls }` with the inert HTML and what was removed
+   */
+  static strip(html) {
+    const $ = cheerio.load(html);
+    const stats = { scripts: 0, handlers: 0, urls: 0 };
+
+    $('script').each((_, element) => {
+      if (DATA_SCRIPT_TYPE.test($(element).attr('type') || '')) return;
+      $(element).remove();
+      stats.scripts++;
+    });
+    $('noscript').remove();
+    $(SCRIPT_PRELOADS).remove();
+
+    $('*').each((_, element) => {
+      for (const name of Object.keys(element.attribs)) {
+        if (/^on/i.test(name)) {
+          $(element).removeAttr(name);
+          stats.handlers++;
+        } else if (URL_ATTRIBUTES.includes(name.toLowerCase()) && /^\s*javascript:/i.test(element.attribs[name])) {
+          $(element).removeAttr(name);
+          stats.urls++;
+        }
+      }
+    });
+
+    return { html: $.html(), ...stats };
+  }
+}
+
+export default StaticSnapshot;
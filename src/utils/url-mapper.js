@@ -0,0 +1,265 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import mime from 'mime';
+
+// Content types too generic to derive a file extension from
+const GENERIC_CONTENT_TYPES = ['application/octet-stream', 'binary/octet-stream', 'text/plain'];
+
+// Longest file or directory name written, in bytes (most filesystems stop at 255)
+const MAX_SEGMENT_BYTES = 200;
+
+// Characters invalid in file names on Windows, macOS or Linux
+const INVALID_CHARACTERS = /[<>:"|?*\\\x00-\x1f]/g;
+
+// Device names Windows refuses as file names, with or without an extension
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+/**
+ * Single URL -> local path mapping shared by every place that saves a remote resource
+ *
+ * Layout: `<host>[_<port>]/<pathname>`, with `index` for directory URLs, an 8-char hash of the
+ * query string before the extension (`app~1a2b3c4d.js`) and an extension derived from the
+ * content type when the URL has none. Every path segment is percent-decoded and made safe
+ * for common filesystems; callers get a warning for each segment that had to be altered.
+ */
+class UrlMapper {
+  /**
+   * Short deterministic hash of a string
+   * @param {string} value - Value to hash
+   * @returns {string} 8 hex characters
+   */
+  static hash(value) {
+    return crypto.createHash('sha1').update(String(value)).digest('hex').slice(0, 8);
+  }
+
+  /**
+   * Derive a file extension from a Content-Type header
+   * @param {string} contentType - Content-Type header value
+   * @returns {string} Extension with leading dot, or '' when unknown
+   */
+  static extensionFromContentType(contentType) {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    if (!type || GENERIC_CONTENT_TYPES.includes(type)) return '';
+    const extension = mime.getExtension(type);
+    return extension ? `.${extension}` : '';
+  }
+
+  /**
+   * Percent-decode a raw URL path segment and make it a safe file or directory name
+   * @param {string} raw - Raw (percent-encoded) path segment
+   * @param {boolean} truncate - Truncate over-long names (callers that add an extension truncate themselves)
+   * @returns {Object} `{ segment, warnings }`
+   */
+  static safeSegment(raw, truncate = true) {
+    const warnings = [];
+    let segment = raw;
+
+    try {
+      segment = decodeURIComponent(raw);
+    } catch {
+      warnings.push(`could not percent-decode "${raw}"`);
+    }
+
+    if (/[/\\]/.test(segment)) {
+      segment = segment.replace(/[/\\]/g, '_');
+      warnings.push(`encoded path separator in "${raw}"`);
+    }
+    if (segment === '.' || segment === '..') {
+      segment = segment.replace(/\./g, '_');
+      warnings.push(`traversal segment "${raw}" neutralized`);
+    }
+    const valid = segment.replace(INVALID_CHARACTERS, '_');
+    if (valid !== segment) {
+      segment = valid;
+      warnings.push(`invalid characters replaced in "${raw}"`);
+    }
+    if (/[. ]$/.test(segment)) {
+      segment = segment.replace(/[. ]+$/, match => '_'.repeat(match.length));
+      warnings.push(`trailing dot or space replaced in "${raw}"`);
+    }
+    if (RESERVED_NAMES.test(segment)) {
+      segment = `_${segment}`;
+      warnings.push(`reserved name "${raw}" prefixed`);
+    }
+    if (!segment) {
+      segment = '_';
+      warnings.push('empty path segment');
+    }
+
+    if (truncate && Buffer.byteLength(segment) > MAX_SEGMENT_BYTES) {
+      segment = UrlMapper.truncate(segment, '');
+      warnings.push(`over-long name "${raw.slice(0, 40)}..." truncated`);
+    }
+
+    return { segment, warnings };
+  }
+
+  /**
+   * Truncate a name to MAX_SEGMENT_BYTES, keeping its extension and adding a hash of the full name
+   * @param {string} name - Name without extension
+   * @param {string} extension - Extension with leading dot (may be empty)
+   * @returns {string} Truncated name including the extension
+   */
+  static truncate(name, extension) {
+    const suffix = `~${UrlMapper.hash(name + extension)}${extension}`;
+    let truncated = name;
+    while (Buffer.byteLength(truncated) + Buffer.byteLength(suffix) > MAX_SEGMENT_BYTES) {
+      truncated = truncated.slice(0, -1);
+    }
+    return truncated + suffix;
+  }
+
+  /**
+   * Map a URL to its path relative to the assets directory
+   * @param {string} url - Absolute resource URL
+   * @param {Object} options - Mapping options
+   * @param {string} options.resourceType - Puppeteer resource type (documents default to .html)
+   * @param {string} options.contentType - Content-Type of the response, for extensionless URLs
+   * @returns {Object} `{ relativePath, warnings }`, relativePath using forward slashes
+   */
+  static map(url, { resourceType = '', contentType = '' } = {}) {
+    const parsed = new URL(url);
+    const warnings = [];
+    // Sanitized like any segment: IPv6 hosts ([::1]) hold characters file names may not contain
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+    const safeHost = UrlMapper.safeSegment(hostname + (parsed.port ? `_${parsed.port}` : ''));
+    warnings.push(...safeHost.warnings);
+    const host = safeHost.segment;
+
+    let pathname = parsed.pathname || '/';
+    if (pathname.endsWith('/')) pathname += 'index';
+
+    const rawSegments = pathname.split('/').slice(1);
+    const segments = rawSegments.map((raw, index) => {
+      const safe = UrlMapper.safeSegment(raw, index < rawSegments.length - 1);
+      warnings.push(...safe.warnings);
+      return safe.segment;
+    });
+
+    const filename = segments.pop();
+    let extension = path.posix.extname(filename);
+    let name = path.posix.basename(filename, extension);
+
+    if (!extension) {
+      extension = UrlMapper.extensionFromContentType(contentType) || (resourceType === 'document' ? '.html' : '');
+    }
+
+    if (parsed.search) {
+      name += `~${UrlMapper.hash(parsed.search)}`;
+    }
+
+    let finalName = `${name}${extension}`;
+    if (Buffer.byteLength(finalName) > MAX_SEGMENT_BYTES) {
+      finalName = UrlMapper.truncate(name, extension.length <= 16 ? extension : '');
+      warnings.push(`over-long file name for ${url.slice(0, 80)} truncated`);
+    }
+
+    return { relativePath: [host, ...segments, finalName].join('/'), warnings };
+  }
+
+  /**
+   * Map a URL to its path relative to the assets directory
+   * @param {string} url - Absolute resource URL
+   * @param {Object} options - Mapping options, see map
+   * @returns {string} Relative path using forward slashes
+   */
+  static toRelativePath(url, options = {}) {
+    return UrlMapper.map(url, options).relativePath;
+  }
+
+  /**
+   * Join a relative path onto a base directory, refusing anything that escapes it
+   * @param {string} baseDir - Directory the path must stay inside
+   * @param {string} relativePath - Relative path using forward slashes
+   * @returns {string} Absolute local path
+   */
+  static safeJoin(baseDir, relativePath) {
+    const root = path.resolve(baseDir);
+    const localPath = path.resolve(root, ...String(relativePath).split('/'));
+    if (localPath !== root && !localPath.startsWith(root + path.sep)) {
+      throw new Error(`Refusing to write outside ${root}: ${relativePath}`);
+    }
+    return localPath;
+  }
+
+  /**
+   * Map a URL to its absolute local path inside the assets directory
+   * @param {string} assetsDir - Assets directory path
+   * @param {string} url - Absolute resource URL
+   * @param {Object} options - Mapping options, see map
+   * @returns {string} Local file path
+   */
+  static toLocalPath(assetsDir, url, options = {}) {
+    return UrlMapper.safeJoin(assetsDir, UrlMapper.toRelativePath(url, options));
+  }
+
+  /**
+   * Make a user-provided file name (e.g. the clone's HTML filename) safe to write
+   * @param {string} filename - File name
+   * @returns {Object} `{ segment, warnings }`
+   */
+  static safeFilename(filename) {
+    return UrlMapper.safeSegment(encodeURIComponent(path.basename(String(filename || 'index.html'))));
+  }
+
+  /**
+   * Resolve file/directory conflicts on disk (e.g. `/a` saved as a file, then `/a/b` needs `a/` as a directory)
+   * by renaming the conflicting segment: directories become `<name>~dir`, files become `<name>~file<ext>`.
+   * A file already claimed in this run by another URL (`/a:b` and `/a_b` both map to `a_b`) gets a
+   * `~<hash of the URL>` suffix instead of overwriting it.
+   * @param {string} assetsDir - Assets directory path
+   * @param {string} localPath - Intended local file path inside assetsDir
+   * @param {Map} reserved - Paths already handed out but maybe not written yet (path -> `{ kind, url }`,
+   *   kind 'file' or 'dir', url the source URL of a file); checked like the disk and updated with the
+   *   resolved path. Callers resolving concurrently must run one resolution at a time.
+   * @param {string} sourceUrl - URL the file is saved for (needed to detect clashes in reserved)
+   * @returns {Promise<Object>} `{ localPath, warnings }`
+   */
+  static async resolveConflicts(assetsDir, localPath, reserved = null, sourceUrl = null) {
+    const root = path.resolve(assetsDir);
+    const segments = path.relative(root, localPath).split(path.sep);
+    const filename = segments.pop();
+    const warnings = [];
+    const kindOf = async (candidate) => {
+      if (reserved?.has(candidate)) return reserved.get(candidate).kind;
+      const stats = await fs.stat(candidate).catch(() => null);
+      return stats ? (stats.isDirectory() ? 'dir' : 'file') : null;
+    };
+
+    let current = root;
+    const directories = [];
+    for (const segment of segments) {
+      let candidate = path.join(current, segment);
+      if (await kindOf(candidate) === 'file') {
+        candidate = path.join(current, `${segment}~dir`);
+        warnings.push(`"${segment}" is a file, saving below "${segment}~dir" instead`);
+      }
+      directories.push(candidate);
+      current = candidate;
+    }
+
+    let target = path.join(current, filename);
+    if (await kindOf(target) === 'dir') {
+      const extension = path.extname(filename);
+      target = path.join(current, `${path.basename(filename, extension)}~file${extension}`);
+      warnings.push(`"${filename}" is a directory, saving as "${path.basename(target)}" instead`);
+    }
+
+    const claimedBy = reserved?.get(target);
+    if (sourceUrl && claimedBy?.kind === 'file' && claimedBy.url !== sourceUrl) {
+      const name = path.basename(target);
+      const extension = path.extname(name);
+      target = path.join(current, `${path.basename(name, extension)}~${UrlMapper.hash(sourceUrl)}${extension}`);
+      warnings.push(`"${name}" is already saved for ${claimedBy.url}, saving as "${path.basename(target)}" instead`);
+    }
+
+    if (reserved) {
+      for (const directory of directories) reserved.set(directory, { kind: 'dir', url: null });
+      reserved.set(target, { kind: 'file', url: sourceUrl });
+    }
+    return { localPath: target, warnings };
+  }
+}
+
+export default UrlMapper;
@@ -0,0 +1,58 @@
+import { PNG } from 'pngjs';
+import pixelmatch from 'pixelmatch';
+
+// Per-pixel color distance (0..1) under which two pixels count as equal; absorbs anti-aliasing noise
+const DEFAULT_THRESHOLD = 0.1;
+
+/**
+ * Pixel diff of two PNG screenshots in pure JS (pngjs + pixelmatch)
+ */
+class VisualDiff {
+  /**
+   * Compare two PNGs. Images of different sizes are compared on the larger canvas, the missing
+   * area filled with white, so extra or missing page height counts as mismatch.
+   * @param {Buffer} expected - PNG of the original page
+   * @param {Buffer} actual - PNG of the clone
+   * @param {Object} options - Diff options
+   * @param {number} options.threshold - Color distance under which pixels match (0..1)
+   * @returns {Object} `{ width, height, mismatchedPixels, mismatchPercent, diffPng }`
+   */
+  static compare(expected, actual, { threshold = DEFAULT_THRESHOLD } = {}) {
+    const imageA = PNG.sync.read(expected);
+    const imageB = PNG.sync.read(actual);
+    const width = Math.max(imageA.width, imageB.width);
+    const height = Math.max(imageA.height, imageB.height);
+
+    const a = VisualDiff.pad(imageA, width, height);
+    const b = VisualDiff.pad(imageB, width, height);
+    const diff = new PNG({ width, height });
+    const mismatchedPixels = pixelmatch(a, b, diff.data, width, height, { threshold });
+
+    return {
+      width,
+      height,
+      mismatchedPixels,
+      mismatchPercent: Math.round((mismatchedPixels / (width * height)) * 10000) / 100,
+      diffPng: PNG.sync.write(diff)
+    };
+  }
+
+  /**
+   * RGBA pixels of an image on a white canvas of the given size
+   * @param {PNG} image - Decoded PNG
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @returns {Buffer} RGBA data
+   */
+  static pad(image, width, height) {
+    if (image.width === width && image.height === height) return image.data;
+
+    const canvas = Buffer.alloc(width * height * 4, 255);
+    for (let row = 0; row < image.height; row++) {
+      image.data.copy(canvas, row * width * 4, row * image.width * 4, (row + 1) * image.width * 4);
+    }
+    return canvas;
+  }
+}
+
+export default VisualDiff;
@@ -0,0 +1,145 @@
+import config from './config.js';
+
+/**
+ * How long a clone waits for a page to settle before capturing it: network idle thresholds,
+ * an optional selector or function to wait for, auto-scrolling for lazy content and a fixed delay.
+ * Every wait shares the page's timeout; a wait that runs out is reported and the page is captured as is.
+ */
+class WaitStrategy {
+  /**
+   * @param {Object} options - Per-clone wait options, merged over config.puppeteer.wait
+   * @param {number} options.timeout - Navigation + settle budget per page in ms
+   * @param {number} options.idleTime - Milliseconds without network activity that count as idle
+   * @param {number} options.idleConnections - Requests that may still be in flight when idle (2 = networkidle2)
+   * @param {string} options.selector - CSS selector that must be present before capture
+   * @param {string} options.function - JS expression evaluated in the page until it is truthy
+   * @param {boolean} options.autoScroll - Scroll through the page to trigger lazy and infinite-scroll content
+   * @param {number} options.scrollStep - Pixels per scroll step (0 = one viewport height)
+   * @param {number} options.maxScrolls - Upper bound on scroll steps
+   * @param {number} options.delay - Fixed delay before capture in ms
+   */
+  constructor(options = {}) {
+    this.options = WaitStrategy.normalize(options);
+  }
+
+  /**
+   * Merge wait options over the configured defaults and drop invalid values
+   * @param {Object} options - Wait options
+   * @returns {Object} Complete wait options
+   */
+  static normalize(options = {}) {
+    const defaults = {
+      timeout: config.puppeteer.timeout,
+      delay: config.puppeteer.waitForTimeout,
+      ...config.puppeteer.wait
+    };
+    const number = (value, fallback, min = 0) => {
+      const parsed = Number(value);
+      return value === '' || value == null || !Number.isFinite(parsed) ? fallback : Math.max(min, parsed);
+    };
+
+    return {
+      timeout: number(options.timeout, defaults.timeout, 1000),
+      idleTime: number(options.idleTime, defaults.idleTime),
+      idleConnections: number(options.idleConnections, defaults.idleConnections),
+      selector: String(options.selector ?? defaults.selector).trim(),
+      function: String(options.function ?? defaults.function).trim(),
+      autoScroll: options.autoScroll ?? defaults.autoScroll,
+      scrollStep: number(options.scrollStep, defaults.scrollStep),
+      maxScrolls: number(options.maxScrolls, defaults.maxScrolls, 1),
+      delay: number(options.delay, defaults.delay)
+    };
+  }
+
+  /**
+   * Milliseconds left until a deadline (at least 1 so Puppeteer never treats it as "no timeout")
+   * @param {number} deadline - Timestamp
+   * @returns {number} Remaining time
+   */
+  static remaining(deadline) {
+    return Math.max(1, deadline - Date.now());
+  }
+
+  /**
+   * Wait for the page to settle after its load event
+   * @param {Object} page - Puppeteer page
+   * @param {Object} run - Settle details
+   * @param {number} run.startedAt - When navigation started (the timeout covers navigation too)
+   * @param {Function} run.onWarning - Called with a message when a wait runs out or fails
+   */
+  async settle(page, { startedAt = Date.now(), onWarning = () => {} } = {}) {
+    const { selector, autoScroll, delay } = this.options;
+    const deadline = startedAt + this.options.timeout;
+    const attempt = async (label, wait) => {
+      try {
+        await wait();
+      } catch (error) {
+        onWarning(`${label}: ${error.message}`);
+      }
+    };
+
+    await attempt('Network idle', () => this.waitForIdle(page, deadline));
+    if (selector) {
+      await attempt(`Selector "${selector}"`, () => page.waitForSelector(selector, { timeout: WaitStrategy.remaining(deadline) }));
+    }
+    if (this.options.function) {
+      await attempt('Wait function', () => page.waitForFunction(this.options.function, { timeout: WaitStrategy.remaining(deadline) }));
+    }
+    if (autoScroll) {
+      await attempt('Auto-scroll', () => this.autoScroll(page, deadline));
+    }
+    if (delay) {
+      await new Promise(resolve => setTimeout(resolve, Math.min(delay, WaitStrategy.remaining(deadline))));
+    }
+  }
+
+  /**
+   * Wait until no more than idleConnections requests were in flight for idleTime
+   * @param {Object} page - Puppeteer page
+   * @param {number} deadline - Timestamp to give up at
+   */
+  async waitForIdle(page, deadline) {
+    await page.waitForNetworkIdle({
+      idleTime: this.options.idleTime,
+      concurrency: this.options.idleConnections,
+      timeout: WaitStrategy.remaining(deadline)
+    });
+  }
+
+  /**
+   * Scroll down step by step, letting the network settle after each step, until the bottom is
+   * reached and a step triggers neither new requests nor DOM growth. Scrolls back to the top after.
+   * @param {Object} page - Puppeteer page
+   * @param {number} deadline - Timestamp to give up at
+   */
+  async autoScroll(page, deadline) {
+    let requests = 0;
+    const onRequest = () => requests++;
+    const measure = () => page.evaluate(() => ({
+      height: document.documentElement.scrollHeight,
+      nodes: document.getElementsByTagName('*').length,
+      atBottom: window.scrollY + window.innerHeight >= document.documentElement.scrollHeight - 2
+    }));
+
+    page.on('request', onRequest);
+    try {
+      for (let step = 0; step < this.options.maxScrolls && Date.now() < deadline; step++) {
+        const before = await measure();
+        const requestsBefore = requests;
+
+        await page.evaluate(pixels => window.scrollBy(0, pixels || window.innerHeight), this.options.scrollStep);
+        await this.waitForIdle(page, deadline).catch(() => {});
+
+        const after = await measure();
+        const grew = requests > requestsBefore || after.height > before.height || after.nodes > before.nodes;
+        if (after.atBottom && !grew) break;
+      }
+    } finally {
+      page.off('request', onRequest);
+    }
+
+    await page.evaluate(() => window.scrollTo(0, 0));
+  }
+}
+
+export default WaitStrategy;
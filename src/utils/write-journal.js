@@ -0,0 +1,135 @@
+import path from 'path';
+import fs from 'fs-extra';
+
+/**
+ * Records every file a clone run writes so the run can be rolled back when it is cancelled.
+ * Files that already existed are copied to a backup directory before their first overwrite;
+ * new files are simply deleted on rollback. A disabled journal only writes.
+ */
+class WriteJournal {
+  /**
+   * @param {string} baseDir - Clone output directory
+   * @param {Object} options - Journal options
+   * @param {boolean} options.enabled - Keep enough state to roll back
+   */
+  constructor(baseDir, { enabled = false } = {}) {
+    this.baseDir = path.resolve(baseDir);
+    this.backupDir = path.join(this.baseDir, `.rollback-${process.pid}`);
+    this.enabled = enabled;
+    this.entries = new Map(); // filePath -> Promise<backupPath|null> (null = file created by this run, rejected = backup failed)
+    this.nextBackup = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Remember the state of a file before its first write in this run
+   * @param {string} filePath - File about to be written
+   * @throws {Error} If an existing file could not be backed up (it must not be overwritten then)
+   */
+  async record(filePath) {
+    if (!this.enabled) return;
+    // The backup slot is taken before any await, so concurrent first writes never share one
+    if (!this.entries.has(filePath)) {
+      this.entries.set(filePath, this.snapshot(filePath, this.nextBackup++));
+    }
+    await this.entries.get(filePath);
+  }
+
+  /**
+   * Back up an existing file
+   * @param {string} filePath - File path
+   * @param {number} index - Backup slot reserved for this file
+   * @returns {Promise<string|null>} Backup path, or null if the file does not exist yet
+   */
+  async snapshot(filePath, index) {
+    if (!await fs.pathExists(filePath)) return null;
+    const backupPath = path.join(this.backupDir, String(index));
+    await fs.copy(filePath, backupPath);
+    return backupPath;
+  }
+
+  /**
+   * Write a file through the journal; writes after close() are dropped
+   * @param {string} filePath - File path
+   * @param {string|Buffer} data - File contents
+   * @param {string} encoding - Encoding for string data
+   * @returns {Promise<boolean>} True if the file was written
+   * @throws {Error} If the file exists and could not be backed up, or could not be written
+   */
+  async write(filePath, data, encoding) {
+    if (this.closed) return false;
+    await this.record(filePath);
+    await fs.outputFile(filePath, data, encoding);
+    return true;
+  }
+
+  /**
+   * Write a JSON file through the journal
+   * @param {string} filePath - File path
+   * @param {*} data - Value to serialize
+   * @returns {Promise<boolean>} True if the file was written
+   */
+  async writeJson(filePath, data) {
+    return this.write(filePath, JSON.stringify(data, null, 2), 'utf8');
+  }
+
+  /**
+   * Stop accepting writes (in-flight responses may still try to store files after a cancel)
+   */
+  close() {
+    this.closed = true;
+  }
+
+  /**
+   * Undo every write of this run: delete new files (and directories left empty) and restore backups
+   * @returns {Promise<Object>} `{ removed, restored }` file counts
+   */
+  async rollback() {
+    this.close();
+    let removed = 0;
+    let restored = 0;
+
+    for (const [filePath, entry] of this.entries) {
+      // A failed backup means the original could not be saved: its writes were refused, leave it alone
+      const backupPath = await entry.catch(() => undefined);
+      if (backupPath === undefined) continue;
+      if (backupPath) {
+        await fs.copy(backupPath, filePath, { overwrite: true });
+        restored++;
+      } else {
+        await fs.remove(filePath);
+        await this.removeEmptyParents(path.dirname(filePath));
+        removed++;
+      }
+    }
+
+    await fs.remove(this.backupDir);
+    this.entries.clear();
+    return { removed, restored };
+  }
+
+  /**
+   * Drop the backups once the run finished normally
+   */
+  async commit() {
+    this.close();
+    this.entries.clear();
+    await fs.remove(this.backupDir);
+  }
+
+  /**
+   * Remove empty directories from dirPath up to (not including) the output directory
+   * @param {string} dirPath - Directory to start from
+   */
+  async removeEmptyParents(dirPath) {
+    let current = dirPath;
+    while (current.startsWith(this.baseDir + path.sep)) {
+      const items = await fs.readdir(current).catch(() => null);
+      if (!items || items.length) return;
+      await fs.rmdir(current);
+      current = path.dirname(current);
+    }
+  }
+}
+
+export default WriteJournal;
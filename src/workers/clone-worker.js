@@ -1,36 +1,47 @@
 import puppeteer from 'puppeteer';
 import fs from 'fs-extra';
 import path from 'path';
-import urlMod from 'url';
+import { pathToFileURL } from 'url';
 import postcss from 'postcss';
-import postcssUrl from 'postcss-url';
+import config from '../utils/config.js';
+import CrawlFrontier from '../utils/crawl-frontier.js';
+import HtmlRewriter from '../utils/html-rewriter.js';
+import CssRewriter from '../utils/css-rewriter.js';
+import FileUtils from '../utils/file-utils.js';
+import UrlMapper from '../utils/url-mapper.js';
+import CloneManifest from '../utils/clone-manifest.js';
+import WriteJournal from '../utils/write-journal.js';
+import ProgressTracker from '../utils/progress-tracker.js';
+import WaitStrategy from '../utils/wait-strategy.js';
+import InteractionScript from '../utils/interaction-script.js';
+import DeviceProfiles from '../utils/device-profiles.js';
+import CaptureEnvironment from '../utils/capture-environment.js';
+import RuntimeStyles from '../utils/runtime-styles.js';
+import ShadowDom from '../utils/shadow-dom.js';
+import FrameCapture from '../utils/frame-capture.js';
+import StaticSnapshot from '../utils/static-snapshot.js';
+import JsRewriter from '../utils/js-rewriter.js';
+import CookieMapper from '../utils/cookie-mapper.js';
 
-/**
- * Clone worker process for handling Puppeteer operations
- */
+// Page that links to pages outside the clone are redirected to
+const NOT_ARCHIVED_STUB = '_not-archived.html';
 
-/**
- * Normalize domain for cookie setting
- * @param {string} domain - Domain to normalize
- * @returns {string|undefined} Normalized domain
- */
-function normalizeDomain(domain) {
-  if (!domain) return undefined;
-  return domain.startsWith('.') ? domain.slice(1) : domain;
-}
+// Visual captures of each page, saved under captures/: option name -> file suffix
+const CAPTURE_FILES = {
+  viewport: '.viewport.png',
+  fullPage: '.full.png',
+  pdf: '.pdf'
+};
+
+// Resource types saved under assets/
+const STATIC_RESOURCE_TYPES = ['stylesheet', 'script', 'image', 'font', 'document', 'other'];
+
+// How the run in progress can be cancelled: `{ browser, journal, cancelled }`
+let activeRun = null;
 
 /**
- * Map SameSite cookie attribute
- * @param {string} value - SameSite value
- * @returns {string} Mapped SameSite value
+ * Clone worker process for handling Puppeteer operations
  */
-function mapSameSite(value) {
-  if (!value) return 'Lax';
-  const s = String(value).toLowerCase();
-  if (s.includes('strict')) return 'Strict';
-  if (s.includes('none')) return 'None';
-  return 'Lax';
-}
 
 /**
  * Process inline CSS in HTML to fix URL references
@@ -72,258 +83,483 @@ function processInlineCss(html, baseUrl) {
 }
 
 /**
- * Process CSS files to rewrite URL references
+ * Process stylesheets: follow @import chains, fetch referenced assets that were never
+ * requested during page load and rewrite every reference relative to the stylesheet's own URL
  * @param {Object} savedFiles - Map of saved files
- * @param {string} baseUrl - Base URL for resolution
+ * @param {Array<string>} stylesheetUrls - URLs of the stylesheets received in this run
+ * @param {Object} options - Processing options
+ * @param {Function} options.fetchAsset - Downloads and stores a missing asset: (url, resourceType) => Promise
+ * @param {Function} options.getSource - Original text of a stylesheet received in this run, or null
+ * @param {Function} options.writeFile - Writes a file: (filePath, data, encoding) => Promise
+ * @param {Function} options.onProcessed - Called after each stylesheet: (done, total) => void
  */
-async function processCssFiles(savedFiles, baseUrl) {
-  const cssFiles = Object.values(savedFiles).filter(filePath => 
-    /\.css(\?|$)/i.test(filePath)
-  );
-  
-  for (const cssPath of cssFiles) {
+async function processCssFiles(savedFiles, stylesheetUrls, { fetchAsset, getSource, writeFile, onProcessed = () => {} }) {
+  const queue = [...stylesheetUrls];
+  const processed = new Set();
+  const isSaved = (assetUrl) => savedFiles[assetUrl] && path.isAbsolute(savedFiles[assetUrl]);
+
+  while (queue.length) {
+    const cssUrl = queue.shift();
+    const cssText = getSource(cssUrl);
+    if (processed.has(cssUrl) || !isSaved(cssUrl) || cssText == null) continue;
+    processed.add(cssUrl);
+
+    const cssPath = savedFiles[cssUrl];
     try {
-      const cssText = await fs.readFile(cssPath, 'utf8');
-      const cssDir = path.dirname(cssPath);
-      
-      // First, try manual URL processing to avoid postcss-url object issues
-      let processedCss = cssText;
-      
-      // Process URLs manually with regex
-      processedCss = processedCss.replace(/url\(([^)]+)\)/g, (match, urlContent) => {
-        // Skip if already corrupted
-        if (urlContent.includes('[object Object]')) {
-          console.warn('Skipping corrupted URL:', match);
-          return match; // Return original to avoid further corruption
+      // References are relative to the stylesheet, not to the page that loaded it
+      const resolve = (reference) => {
+        try {
+          const parsed = new URL(reference, cssUrl);
+          if (!/^https?:$/.test(parsed.protocol)) return null;
+          const hash = parsed.hash;
+          parsed.hash = '';
+          return { key: parsed.toString(), hash };
+        } catch {
+          return null;
         }
-        
-        // Skip data URLs and absolute URLs that don't need processing
-        if (urlContent.startsWith('data:') || urlContent.startsWith('http://') || urlContent.startsWith('https://')) {
-          return match;
+      };
+
+      // Parse once so references inside comments are ignored; fall back to plain text for broken CSS
+      let root = null;
+      try {
+        root = postcss.parse(cssText);
+      } catch (error) {
+        console.warn('Could not parse stylesheet, processing references as text:', cssUrl, error.message);
+      }
+
+      let importReferences = [];
+      let assetReferences = [];
+      if (root) {
+        root.walkAtRules('import', (rule) => {
+          importReferences.push(...CssRewriter.extractImports(`@import ${rule.params}`));
+        });
+        root.walkDecls((decl) => {
+          assetReferences.push(...CssRewriter.extractUrls(decl.value));
+        });
+      } else {
+        importReferences = CssRewriter.extractImports(cssText);
+        assetReferences = CssRewriter.extractUrls(cssText);
+      }
+
+      // Nested stylesheets are queued so their own references get processed too
+      for (const reference of importReferences) {
+        const resolved = resolve(reference);
+        if (!resolved) continue;
+        if (!isSaved(resolved.key)) await fetchAsset(resolved.key, 'stylesheet');
+        if (getSource(resolved.key) != null) queue.push(resolved.key);
+      }
+
+      for (const reference of assetReferences) {
+        const resolved = resolve(reference);
+        if (resolved && !isSaved(resolved.key)) {
+          await fetchAsset(resolved.key, FileUtils.guessResourceType(resolved.key));
         }
-        
-        // Only process relative URLs
-        if (urlContent.startsWith('/') || urlContent.startsWith('../') || urlContent.startsWith('./')) {
-          const absoluteUrl = new URL(urlContent, baseUrl).toString();
-          if (savedFiles[absoluteUrl]) {
-            const relativePath = path.relative(cssDir, savedFiles[absoluteUrl])
-              .split(path.sep).join('/');
-            console.log('Manually mapped URL:', urlContent, '->', relativePath);
-            return `url(${relativePath})`;
-          }
+      }
+
+      const mapReference = (reference) => {
+        const resolved = resolve(reference);
+        if (!resolved) return null;
+        if (isSaved(resolved.key)) {
+          return FileUtils.toRelativeHref(path.dirname(cssPath), savedFiles[resolved.key]) + resolved.hash;
         }
-        
-        return match; // Return original if no processing needed
-      });
-      
-      // Only use postcss-url if manual processing didn't work
-      if (processedCss.includes('[object Object]')) {
-        console.log('Manual processing failed, falling back to postcss-url');
-        
-        const processor = postcss([
-          postcssUrl({
-            url: (assetUrl, decl, from, dirname) => {
-            // Early return if assetUrl is already a string and looks valid
-            if (typeof assetUrl === 'string' && !assetUrl.includes('[object Object]')) {
-              console.log('Valid string URL, processing normally:', assetUrl);
-              // Continue with normal processing below
-            } else {
-              console.log('Problematic URL detected:', assetUrl, 'Type:', typeof assetUrl);
-              // Try to find the original URL from the CSS text and return it unchanged
-              const originalUrls = cssText.match(/url\([^)]+\)/g);
-              if (originalUrls && originalUrls.length > 0) {
-                // Find the URL that corresponds to this position
-                const currentPosition = cssText.indexOf(decl.toString());
-                if (currentPosition !== -1) {
-                  // Look for URLs around this position
-                  const contextStart = Math.max(0, currentPosition - 200);
-                  const contextEnd = Math.min(cssText.length, currentPosition + 200);
-                  const context = cssText.substring(contextStart, contextEnd);
-                  const contextUrls = context.match(/url\([^)]+\)/g);
-                  
-                  if (contextUrls && contextUrls.length > 0) {
-                    const validUrl = contextUrls.find(url => !url.includes('[object Object]'));
-                    if (validUrl) {
-                      console.log('Found original URL in context:', validUrl);
-                      return validUrl;
-                    }
-                  }
-                }
-                
-                // Fallback to any valid URL
-                const validUrl = originalUrls.find(url => !url.includes('[object Object]'));
-                if (validUrl) {
-                  console.log('Using fallback original URL:', validUrl);
-                  return validUrl;
-                }
-              }
-              
-              // If all else fails, return the original assetUrl to avoid corruption
-              console.warn('No valid original URL found, returning original:', assetUrl);
-              return assetUrl;
-            }
-            try {
-              // Debug logging
-              console.log('Processing CSS URL:', assetUrl, 'Type:', typeof assetUrl, 'Constructor:', assetUrl?.constructor?.name);
-              
-              // Convert to string if it's an object (postcss-url sometimes passes objects)
-              let urlString = assetUrl;
-              if (typeof assetUrl === 'object' && assetUrl !== null) {
-                console.log('Object details:', {
-                  keys: Object.keys(assetUrl),
-                  url: assetUrl.url,
-                  value: assetUrl.value,
-                  toString: typeof assetUrl.toString
-                });
-                
-                // If it's an object, try to extract the URL from common properties
-                if (assetUrl.url) {
-                  urlString = assetUrl.url;
-                  console.log('Extracted from .url:', urlString);
-                } else if (assetUrl.value) {
-                  urlString = assetUrl.value;
-                  console.log('Extracted from .value:', urlString);
-                } else if (assetUrl.toString && typeof assetUrl.toString === 'function') {
-                  urlString = assetUrl.toString();
-                  console.log('Extracted from toString():', urlString);
-                } else {
-                  console.warn('Cannot convert object to string:', assetUrl);
-                  // Try to find original URL from CSS text as fallback
-                  const originalUrls = cssText.match(/url\([^)]+\)/g);
-                  if (originalUrls && originalUrls.length > 0) {
-                    const validUrl = originalUrls.find(url => !url.includes('[object Object]'));
-                    if (validUrl) {
-                      console.log('Using original URL as fallback:', validUrl);
-                      return validUrl;
-                    }
-                  }
-                  return assetUrl; // Return original to avoid corruption
-                }
-              }
-              
-              // Ensure we have a string
-              if (typeof urlString !== 'string') {
-                console.warn('Non-string assetUrl after conversion:', urlString);
-                return assetUrl; // Return original to avoid corruption
-              }
-              
-              // Skip if already corrupted
-              if (urlString.includes('[object Object]')) {
-                console.warn('Skipping corrupted URL:', urlString);
-                return assetUrl; // Return original to avoid corruption
-              }
-              
-              // Skip data URLs and absolute URLs that don't need processing
-              if (urlString.startsWith('data:') || urlString.startsWith('http://') || urlString.startsWith('https://')) {
-                return urlString;
-              }
-              
-              // Only process relative URLs
-              if (urlString.startsWith('/') || urlString.startsWith('../') || urlString.startsWith('./')) {
-                const absoluteUrl = new URL(urlString, baseUrl).toString();
-                if (savedFiles[absoluteUrl]) {
-                  const relativePath = path.relative(cssDir, savedFiles[absoluteUrl])
-                    .split(path.sep).join('/');
-                  console.log('Mapped URL:', urlString, '->', relativePath);
-                  return relativePath;
-                }
-              }
-            } catch (error) {
-              console.warn('Error processing CSS URL:', assetUrl, error.message);
-            }
-            return assetUrl; // Return original to preserve the URL as-is
+        // Keep assets that could not be saved loading from the origin
+        return resolved.key + resolved.hash;
+      };
+
+      let processedCss;
+      if (root) {
+        root.walkAtRules('import', (rule) => {
+          rule.params = CssRewriter.rewriteImportParams(rule.params, mapReference);
+        });
+        root.walkDecls((decl) => {
+          if (/url\(/i.test(decl.value)) {
+            decl.value = CssRewriter.rewriteUrls(decl.value, mapReference);
           }
-        })
-      ]);
-      
-        const result = await processor.process(cssText, { from: cssPath, to: cssPath });
-        
-        // Additional safety check to prevent [object Object] in final CSS
-        let finalCss = result.css;
-        if (finalCss.includes('[object Object]')) {
-          console.warn('Found [object Object] in processed CSS, attempting to fix...');
-          // Instead of replacing with #, try to preserve original URLs from the original CSS
-          finalCss = finalCss.replace(/url\(\[object Object\]\)/g, (match, offset) => {
-            // Try to find the original URL from the original CSS text
-            const urlMatches = cssText.match(/url\([^)]+\)/g);
-            if (urlMatches && urlMatches.length > 0) {
-              // Try to find a URL that's likely the original for this position
-              const contextBefore = cssText.substring(Math.max(0, offset - 100), offset);
-              const contextAfter = cssText.substring(offset, Math.min(cssText.length, offset + 100));
-              
-              // Look for font-related URLs if this is in a @font-face rule
-              if (contextBefore.includes('@font-face') || contextBefore.includes('font-family')) {
-                const fontUrl = urlMatches.find(url => 
-                  url.includes('.woff') || url.includes('.ttf') || url.includes('.otf') || url.includes('.eot')
-                );
-                if (fontUrl) {
-                  console.log('Using font URL as fallback:', fontUrl);
-                  return fontUrl;
-                }
-              }
-              
-              // Use the first valid URL found as fallback
-              const validUrl = urlMatches.find(url => !url.includes('[object Object]'));
-              if (validUrl) {
-                console.log('Using original URL as fallback:', validUrl);
-                return validUrl;
-              }
-            }
-            // If no original URL found, use a generic fallback based on context
-            if (contextBefore.includes('@font-face') || contextBefore.includes('font-family')) {
-              return 'url(./font.woff)';
-            }
-            return 'url(./asset.css)';
-          });
-        }
-        
-        await fs.outputFile(cssPath, finalCss, 'utf8');
+        });
+        processedCss = root.toString();
       } else {
-        // Manual processing worked, save the result
-        await fs.outputFile(cssPath, processedCss, 'utf8');
+        processedCss = CssRewriter.rewriteUrls(cssText, mapReference);
+      }
+
+      // Unchanged stylesheets rewrite to the same output; leave those files alone
+      const current = await fs.readFile(cssPath, 'utf8').catch(() => null);
+      if (current !== processedCss) {
+        await writeFile(cssPath, processedCss, 'utf8');
       }
     } catch (error) {
       console.error('Error processing CSS file:', cssPath, error);
     }
+    onProcessed(processed.size, processed.size + queue.length);
+  }
+}
+
+/**
+ * Rewrite URL references inside saved scripts (module imports, chunk URLs, CDN URLs), always from
+ * the text received in this run so repeated passes give the same output
+ * @param {JsRewriter} jsRewriter - Script rewriter
+ * @param {Object} savedFiles - Map of saved files
+ * @param {Array<string>} scriptUrls - URLs of the scripts received in this run
+ * @param {Object} options - Processing options
+ * @param {string} options.pageUrl - Page the scripts run on; plain URL strings in them resolve against it
+ * @param {Function} options.getSource - Original text of a script received in this run, or null
+ * @param {Function} options.writeFile - Writes a file: (filePath, data, encoding) => Promise
+ * @param {Function} options.onProcessed - Called after each script: (done, total) => void
+ * @returns {Promise<Object>} `{ files, references, issues }`: scripts changed, references rewritten and
+ *   `{ source, reference, reason }` for every reference left as it was
+ */
+async function rewriteScriptFiles(jsRewriter, savedFiles, scriptUrls, { pageUrl, getSource, writeFile, onProcessed = () => {} }) {
+  const summary = { files: 0, references: 0, issues: [] };
+  let done = 0;
+
+  for (const scriptUrl of scriptUrls) {
+    const scriptPath = savedFiles[scriptUrl];
+    const source = getSource(scriptUrl);
+    if (scriptPath && path.isAbsolute(scriptPath) && source != null) {
+      try {
+        // Module specifiers are relative to the script, not to the page that loaded it
+        const result = jsRewriter.rewrite(source, { baseUrl: scriptUrl, localPath: scriptPath, pageUrl });
+        summary.issues.push(...result.issues.map(issue => ({ source: scriptUrl, ...issue })));
+        summary.references += result.rewritten;
+
+        const current = await fs.readFile(scriptPath, 'utf8').catch(() => null);
+        if (current !== result.code) {
+          await writeFile(scriptPath, result.code, 'utf8');
+          if (result.rewritten) summary.files++;
+        }
+      } catch (error) {
+        console.error('Error rewriting script:', scriptPath, error);
+      }
+    }
+    onProcessed(++done, scriptUrls.length);
   }
+  return summary;
+}
+
+/**
+ * Crawl options with invalid limits replaced by the defaults: a depth of at least 0 and at least one page
+ * @param {Object|null} crawl - Crawl options from the renderer, or null for a single-page clone
+ * @returns {Object} Crawl options for CrawlFrontier and the crawl loop
+ */
+function normalizeCrawlOptions(crawl) {
+  if (!crawl) return { ...config.crawl, maxDepth: 0, maxPages: 1 };
+  const count = (value, fallback, min) => {
+    const number = Math.floor(Number(value));
+    return Math.max(min, value !== '' && value != null && Number.isFinite(number) ? number : fallback);
+  };
+  return {
+    ...config.crawl,
+    ...crawl,
+    maxDepth: count(crawl.maxDepth, config.crawl.maxDepth, 0),
+    maxPages: count(crawl.maxPages, config.crawl.maxPages, 1)
+  };
+}
+
+/**
+ * Build the local path a crawled page's HTML is saved to
+ * @param {Function} resolveSavePath - Resolves a URL to a safe local path (see the worker's resolveSavePath)
+ * @param {string} pageUrl - Page URL
+ * @returns {Promise<string>} Local file path ending in .html
+ */
+async function getPageSavePath(resolveSavePath, pageUrl) {
+  const savePath = await resolveSavePath(pageUrl, { resourceType: 'document', contentType: 'text/html' });
+  return /\.html?$/i.test(savePath) ? savePath : `${savePath}.html`;
+}
+
+/**
+ * Navigate to a page, let it settle and collect its HTML, child frames, outgoing links and hreflang alternates
+ * @param {Object} page - Puppeteer page
+ * @param {string} pageUrl - URL to open
+ * @param {Object} options - Capture options
+ * @param {WaitStrategy} options.wait - How the page settles before capture
+ * @param {Function} options.onPhase - Called with 'waiting' once the page has loaded
+ * @param {Function} options.onWarning - Called with a message when a wait runs out
+ * @param {Array<Object>} options.steps - Interaction steps run once the page has settled
+ * @param {Function} options.onStep - Called after each interaction step (see InteractionScript.run)
+ * @param {Object} options.captures - Visual captures to take: `{ viewport, fullPage, pdf }` flags
+ * @param {string} options.shadowDom - 'declarative' keeps open shadow roots as <template shadowrootmode>, 'flatten' merges them into the light DOM
+ * @param {boolean} options.videoPosters - Replace known video embeds with a screenshot instead of saving their frames
+ * @param {string} options.snapshotMode - 'keep-js' saves the page with its scripts, 'static' freezes it into an inert copy
+ * @returns {Promise<Object>} Captured page data
+ */
+async function capturePage(page, pageUrl, { wait, onPhase = () => {}, onWarning = () => {}, steps = [], onStep = () => {}, captures = {}, shadowDom = config.snapshot.shadowDom, videoPosters = config.snapshot.videoPosters, snapshotMode = config.snapshot.mode }) {
+  const startedAt = Date.now();
+  const response = await page.goto(pageUrl, { 
+    waitUntil: 'load', 
+    timeout: wait.options.timeout 
+  });
+  
+  // Network idle, selector/function, auto-scroll and delay share what is left of the timeout
+  onPhase('waiting');
+  await wait.settle(page, { startedAt, onWarning });
+
+  // Scripted interactions (banners, "load more", tabs) before the DOM is captured
+  if (steps.length) {
+    onPhase('interacting');
+    await InteractionScript.run(page, steps, { onStep });
+  }
+
+  // Screenshots/PDF of the settled page; a failed capture does not fail the page
+  const visuals = { files: {}, errors: [] };
+  if (Object.keys(CAPTURE_FILES).some(type => captures[type])) {
+    onPhase('capturing');
+    const takers = {
+      viewport: () => page.screenshot({ type: 'png' }),
+      fullPage: () => page.screenshot({ type: 'png', fullPage: true }),
+      pdf: () => page.pdf({ printBackground: true })
+    };
+    for (const type of Object.keys(CAPTURE_FILES).filter(type => captures[type])) {
+      try {
+        visuals.files[type] = Buffer.from(await takers[type]());
+      } catch (error) {
+        visuals.errors.push(`${type}: ${error.message}`);
+      }
+    }
+  }
+
+  // Child frames are tagged in their parents' DOM before any document is serialized
+  const frames = await FrameCapture.collect(page, { videoPosters });
+  const main = await serializeDocument(page.mainFrame(), { shadowDom, snapshotMode });
+  const links = await page.$$eval('a[href]', anchors => anchors.map(anchor => anchor.href));
+  links.push(...main.shadowLinks);
+  const alternates = await page.$$eval('link[rel~="alternate"][hreflang][href]', elements => 
+    elements.map(element => ({ hreflang: element.hreflang, href: element.href }))
+  );
+
+  // Every other frame becomes a document of its own; video embeds only keep their poster
+  const frameDocuments = [];
+  for (const { frame, ...entry } of frames) {
+    if (entry.video) {
+      frameDocuments.push(entry);
+      continue;
+    }
+    try {
+      const { html, baseUrl } = await serializeDocument(frame, { shadowDom, snapshotMode });
+      frameDocuments.push({ ...entry, html, baseUrl });
+    } catch (error) {
+      frameDocuments.push({ ...entry, error: error.message });
+    }
+  }
+
+  return {
+    finalUrl: page.url(),
+    status: response?.status() ?? null,
+    contentType: response?.headers()['content-type'] || '',
+    html: main.html,
+    links,
+    alternates,
+    visuals,
+    runtimeStyles: main.runtimeStyles,
+    shadowRoots: main.shadowRoots,
+    shadowRootsFlattened: main.shadowRootsFlattened,
+    staticSnapshot: main.staticSnapshot,
+    frames: frameDocuments
+  };
+}
+
+/**
+ * Serialize one document of a page (the main frame or a child frame) as it is rendered
+ * @param {Object} frame - Puppeteer frame
+ * @param {Object} options - Serialization options
+ * @param {string} options.shadowDom - 'declarative' or 'flatten' (see capturePage)
+ * @param {string} options.snapshotMode - 'keep-js' or 'static' (see capturePage)
+ * @returns {Promise<Object>} `{ html, baseUrl, shadowLinks, runtimeStyles, shadowRoots, shadowRootsFlattened, staticSnapshot }`
+ *   (`staticSnapshot` null in keep-JS mode)
+ */
+async function serializeDocument(frame, { shadowDom, snapshotMode }) {
+  // CSS-in-JS rules and adopted sheets exist only in the CSSOM; write them into the DOM first
+  let runtimeStyles;
+  try {
+    runtimeStyles = await RuntimeStyles.inline(frame);
+  } catch (error) {
+    runtimeStyles = { error: error.message };
+  }
+
+  // Static snapshots bake form state and canvases into the DOM while the page still holds them
+  const frozen = snapshotMode === 'static' ? await StaticSnapshot.freeze(frame) : null;
+
+  // Open shadow roots are serialized as declarative shadow DOM; page.content() would drop them
+  const serialized = await ShadowDom.serialize(frame);
+  const flattened = shadowDom === 'flatten' && serialized.shadowRoots ? ShadowDom.flatten(serialized.html) : null;
+  let html = flattened ? flattened.html : serialized.html;
+
+  let staticSnapshot = null;
+  if (frozen) {
+    const { html: inert, ...stripped } = StaticSnapshot.strip(html);
+    html = inert;
+    staticSnapshot = { ...frozen, ...stripped };
+  }
+
+  return {
+    html,
+    // about:blank and srcdoc frames resolve their URLs against the parent's
+    baseUrl: await frame.evaluate(() => document.baseURI),
+    shadowLinks: serialized.links,
+    runtimeStyles,
+    shadowRoots: serialized.shadowRoots,
+    shadowRootsFlattened: flattened?.flattened || 0,
+    staticSnapshot
+  };
+}
+
+/**
+ * Fetch a resource outside the page (e.g. srcset candidates the browser never requested),
+ * reusing the page's cookies, user agent and referer
+ * @param {Object} page - Puppeteer page
+ * @param {string} resourceUrl - URL to fetch
+ * @param {Object} extraHeaders - Additional request headers (e.g. conditional request validators)
+ * @returns {Promise<Object>} `{ buffer, contentType, status, headers }`; the buffer is empty for a 304
+ */
+async function fetchResource(page, resourceUrl, extraHeaders = {}) {
+  const headers = {
+    'User-Agent': await page.evaluate(() => navigator.userAgent),
+    Referer: page.url(),
+    ...extraHeaders
+  };
+  const cookies = await page.cookies(resourceUrl);
+  if (cookies.length) {
+    headers.Cookie = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+
+  const response = await fetch(resourceUrl, { headers });
+  if (response.status === 304) {
+    return { buffer: Buffer.alloc(0), contentType: '', status: 304, headers: Object.fromEntries(response.headers) };
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    contentType: response.headers.get('content-type') || '',
+    status: response.status,
+    headers: Object.fromEntries(response.headers)
+  };
+}
+
+/**
+ * Run an async task over items with a concurrency limit
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of tasks in flight
+ * @param {Function} task - Async task called with each item
+ */
+async function runWithConcurrency(items, limit, task) {
+  const queue = [...items];
+  const runners = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+    while (queue.length) {
+      await task(queue.shift());
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Build the HTML of the stub page that links to not-archived pages point at
+ * @returns {string} Stub page HTML
+ */
+function buildNotArchivedStub() {
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>Page not archived</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 15vh auto; max-width: 640px; color: #2d3748; text-align: center; }
+    a { color: #667eea; word-break: break-all; }
+  </style>
+</head>
+<body>
+  <h1>Page not archived</h1>
+  <p>This page was not included in the clone.</p>
+  <p><a id="original" href="#">Open the live page</a></p>
+  <script>
+    const original = new URLSearchParams(location.search).get('url');
+    const link = document.getElementById('original');
+    if (original && /^https?:/i.test(original)) {
+      link.href = original;
+      link.textContent = original;
+    }
+  </script>
+</body>
+</html>
+`;
 }
 
 /**
  * Save API logs to individual files and combined log
  * @param {Array} apiLogs - Array of API log entries
  * @param {string} logsDir - Logs directory path
+ * @param {WriteJournal} journal - Journal the files are written through
  */
-async function saveApiLogs(apiLogs, logsDir) {
+async function saveApiLogs(apiLogs, logsDir, journal) {
   for (const entry of apiLogs) {
     const safeFilename = encodeURIComponent(entry.url)
       .replace(/%/g, '_')
       .slice(0, 230);
     
-    await fs.outputFile(
-      path.join(logsDir, `${safeFilename}.json`),
-      JSON.stringify(entry, null, 2),
-      'utf8'
-    );
+    await journal.writeJson(path.join(logsDir, `${safeFilename}.json`), entry);
   }
   
-  await fs.outputJson(
-    path.join(logsDir, 'api_logs.json'),
-    apiLogs,
-    { spaces: 2 }
-  );
+  await journal.writeJson(path.join(logsDir, 'api_logs.json'), apiLogs);
+}
+
+/**
+ * Cancel the run in progress: stop accepting writes and close the browser so pending
+ * navigations fail fast; the run's own error handling then rolls back and reports
+ */
+async function cancelClone() {
+  if (!activeRun) {
+    process.send({ type: 'cancelled', payload: { rolledBack: null } });
+    return;
+  }
+  
+  activeRun.cancelled = true;
+  activeRun.journal.close();
+  await activeRun.browser?.close().catch(() => {});
 }
 
 /**
  * Main worker process handler
  */
 process.on('message', async (options) => {
-  const { url, outputDir, filename, htmlOnly, html, cookies = [], networkData = null } = options || {};
+  if (options?.type === 'cancel') {
+    await cancelClone();
+    return;
+  }
+  
+  const { 
+    url, 
+    outputDir, 
+    filename, 
+    htmlOnly, 
+    html, 
+    cookies = [], 
+    networkData = null, 
+    crawl = null, 
+    unarchivedLinks = config.links.unarchived,
+    rollbackOnCancel = false,
+    wait = {},
+    steps = [],
+    device = null,
+    environment = {},
+    captures = {},
+    shadowDom = config.snapshot.shadowDom,
+    videoPosters = config.snapshot.videoPosters,
+    snapshotMode = config.snapshot.mode,
+    rewriteScripts = config.snapshot.rewriteScripts
+  } = options || {};
   
   try {
     // Handle HTML-only save
     if (htmlOnly) {
       const assetsDir = path.join(path.resolve(outputDir), 'assets');
-      const savedPath = path.join(assetsDir, filename);
+      const safeName = UrlMapper.safeFilename(filename);
+      if (safeName.warnings.length) {
+        process.send({ 
+          type: 'progress', 
+          payload: { pathWarning: filename, path: safeName.segment, warnings: safeName.warnings } 
+        });
+      }
+      const savedPath = UrlMapper.safeJoin(assetsDir, safeName.segment);
       await fs.ensureDir(assetsDir);
       await fs.outputFile(savedPath, html, 'utf8');
       process.send({ 
@@ -339,37 +575,93 @@ process.on('message', async (options) => {
     const baseOut = path.resolve(outputDir);
     const assetsDir = path.join(baseOut, 'assets');
     const logsDir = path.join(baseOut, 'logs');
+    const capturesDir = path.join(baseOut, 'captures');
     
     await fs.ensureDir(assetsDir);
     await fs.ensureDir(logsDir);
 
+    // Every write goes through the journal so a cancelled run can be rolled back
+    const journal = new WriteJournal(baseOut, { enabled: rollbackOnCancel });
+    const run = { browser: null, journal, cancelled: false };
+    activeRun = run;
+    const throwIfCancelled = () => {
+      if (run.cancelled) throw new Error('Clone cancelled');
+    };
+
+    const waitStrategy = new WaitStrategy(wait);
+    const interactionSteps = InteractionScript.parse(steps);
+    const deviceProfile = device ? DeviceProfiles.normalize(device) : DeviceProfiles.getDefault();
+    const captureEnvironment = CaptureEnvironment.normalize(environment);
+    const languageHeaders = captureEnvironment.locale 
+      ? { 'Accept-Language': CaptureEnvironment.acceptLanguage(captureEnvironment.locale) } 
+      : {};
+
+    // A previous manifest in the output directory turns this run into an incremental re-clone
+    const previousManifest = await CloneManifest.load(baseOut);
+    const manifest = new CloneManifest(baseOut, {
+      startUrl: url,
+      previous: previousManifest,
+      environment: captureEnvironment,
+      options: {
+        filename,
+        crawl,
+        unarchivedLinks,
+        wait: waitStrategy.options,
+        steps: interactionSteps,
+        device: deviceProfile,
+        captures,
+        shadowDom,
+        videoPosters,
+        snapshotMode,
+        rewriteScripts,
+        cookies: cookies.length,
+        capturedResources: networkData?.resources?.length || 0
+      }
+    });
+
+    // A plain clone is a crawl of depth 0 and a single page
+    const crawlOptions = normalizeCrawlOptions(crawl);
+
+    // Phases, estimated totals, bytes and ETA; the renderer's resources are the start page's estimate
+    const tracker = new ProgressTracker({
+      send: payload => process.send({ type: 'progress', payload }),
+      expectedResources: networkData?.resources?.length || 0,
+      pagesTotal: crawlOptions.maxPages
+    });
+    tracker.setPhase('launching');
+
     // Launch Puppeteer browser
     const browser = await puppeteer.launch({ 
-      headless: true, 
-      args: [
-        '--no-sandbox', 
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--disable-gpu'
-      ]
+      headless: config.puppeteer.headless, 
+      args: config.puppeteer.args
     });
+    run.browser = browser;
+    // The main process kills Chromium itself if this worker has to be killed on a stuck cancel
+    process.send({ type: 'browser', payload: { pid: browser.process()?.pid ?? null } });
+    if (run.cancelled) await browser.close();
+    throwIfCancelled();
     const page = await browser.newPage();
 
+    // Viewport, touch/mobile flags and user agent of the chosen device
+    await page.setViewport(DeviceProfiles.toViewport(deviceProfile));
+    if (deviceProfile.userAgent) {
+      await page.setUserAgent(deviceProfile.userAgent);
+    }
+
+    // Locale, timezone and media features the page is captured under
+    const client = await page.target().createCDPSession();
+    await CaptureEnvironment.apply(page, client, captureEnvironment);
+    const environmentLabel = CaptureEnvironment.describe(captureEnvironment);
+    if (environmentLabel) {
+      process.send({ 
+        type: 'progress', 
+        payload: { environmentApplied: environmentLabel } 
+      });
+    }
+
     // Set cookies if provided
     if (Array.isArray(cookies) && cookies.length) {
-      const cookiePayload = cookies.map(cookie => ({
-        name: cookie.name,
-        value: cookie.value,
-        domain: normalizeDomain(cookie.domain || new URL(url).hostname),
-        path: cookie.path || '/',
-        httpOnly: !!cookie.httpOnly,
-        secure: !!cookie.secure,
-        sameSite: mapSameSite(cookie.sameSite),
-        expires: cookie.expirationDate ? Math.floor(cookie.expirationDate) : undefined
-      }));
+      const cookiePayload = CookieMapper.toPuppeteer(cookies, url);
       
       await page.setCookie(...cookiePayload);
       process.send({ 
@@ -379,6 +671,10 @@ process.on('message', async (options) => {
     }
 
     const savedFiles = {}; // remoteUrl -> localFullPath
+    const storedUrls = new Set(); // URLs already stored (or kept) in this run
+    const cssSources = new Map(); // stylesheet URL -> original CSS text received in this run
+    const jsSources = new Map(); // script URL -> original script text received in this run (script rewriting only)
+    const pathWarnings = [];
     const apiLogs = [];
     const wsLogs = [];
     
@@ -399,15 +695,239 @@ process.on('message', async (options) => {
       }
     }
     
-    // Progress tracking
-    let totalFiles = 0;
-    let processedFiles = 0;
-    let downloadedFiles = 0;
-    let skippedFiles = 0;
+    /**
+     * Record that a URL could not be saved under its literal path and tell the renderer why
+     * @param {string} sourceUrl - URL (or file name) being saved
+     * @param {string} savePath - Local path actually used
+     * @param {Array<string>} warnings - What had to be altered
+     */
+    const warnPath = (sourceUrl, savePath, warnings) => {
+      if (!warnings.length) return;
+      pathWarnings.push({ url: sourceUrl, path: path.relative(baseOut, savePath), warnings });
+      process.send({ 
+        type: 'progress', 
+        payload: { pathWarning: sourceUrl, path: savePath, warnings } 
+      });
+    };
+
+    let pathAllocation = Promise.resolve();
+    const reservedPaths = new Map(); // local path -> { kind: 'file' | 'dir', url }, for paths allocated in this run
+
+    /**
+     * Resolve the local path a resource or page is saved to: filesystem-safe, inside assets/ and
+     * clear of file/directory conflicts with what is already on disk
+     * @param {string} sourceUrl - Resource URL
+     * @param {Object} options - UrlMapper options
+     * @returns {Promise<string>} Local file path
+     */
+    const resolveSavePath = (sourceUrl, options) => {
+      // One allocation at a time, checked against the paths handed out but not written yet, so
+      // concurrent responses for `/a` and `/a/b` still get a file and a directory that do not collide
+      const allocation = pathAllocation.then(async () => {
+        const mapped = UrlMapper.map(sourceUrl, options);
+        const resolved = await UrlMapper.resolveConflicts(assetsDir, UrlMapper.safeJoin(assetsDir, mapped.relativePath), reservedPaths, sourceUrl);
+        warnPath(sourceUrl, resolved.localPath, [...mapped.warnings, ...resolved.warnings]);
+        return resolved.localPath;
+      });
+      pathAllocation = allocation.catch(() => {});
+      return allocation;
+    };
+
+    /**
+     * Report a stored (or kept) resource to the renderer
+     * @param {string} requestUrl - Resource URL
+     * @param {string} savePath - Local path
+     * @param {string} status - 'downloaded' or 'skipped'
+     * @param {number} bytes - Bytes written (0 for resources kept from the previous clone)
+     * @param {Object} details - Extra payload fields (change, reason)
+     */
+    const reportResource = (requestUrl, savePath, status, bytes, details = {}) => {
+      tracker.resourceStored({ status, bytes, file: path.basename(savePath) });
+      tracker.report({ 
+        savedResource: requestUrl, 
+        path: savePath,
+        status,
+        ...details
+      });
+    };
+
+    /**
+     * Save a resource body under assets/ and record it in savedFiles. Bodies identical to the
+     * previous clone (same SHA-256 as in its manifest) are left untouched on disk.
+     * @param {string} requestUrl - Resource URL
+     * @param {Buffer} buffer - Response body
+     * @param {string} resourceType - Puppeteer resource type
+     * @param {Object} response - Response details: `{ contentType, status, headers }`
+     */
+    const storeResource = async (requestUrl, buffer, resourceType, { contentType = '', status = null, headers = {} } = {}) => {
+      // Several pages can load the same URL; store it once per run
+      if (storedUrls.has(requestUrl)) return;
+      storedUrls.add(requestUrl);
+      
+      // A resource from the previous clone keeps its location so references to it stay valid
+      const previous = manifest.getPrevious(requestUrl);
+      const previousPath = previous && manifest.resolve(previous);
+      const hasPrevious = !!previousPath && await fs.pathExists(previousPath);
+      if (hasPrevious) reservedPaths.set(previousPath, { kind: 'file', url: requestUrl });
+      const savePath = hasPrevious ? previousPath : await resolveSavePath(requestUrl, { resourceType, contentType });
+      
+      const sha256 = CloneManifest.sha256(buffer);
+      const unchanged = hasPrevious && previous.sha256 === sha256;
+      
+      // Write first: savedFiles and the manifest only ever point at files that exist
+      if (!unchanged) {
+        try {
+          if (!await journal.write(savePath, buffer)) return;
+        } catch (error) {
+          storedUrls.delete(requestUrl);
+          process.send({ 
+            type: 'progress', 
+            payload: { skippedResource: requestUrl, reason: `Could not write ${savePath}: ${error.message}` } 
+          });
+          return;
+        }
+      }
+      
+      const change = manifest.addResource({ 
+        url: requestUrl, 
+        localPath: savePath, 
+        resourceType, 
+        mimeType: contentType, 
+        status, 
+        buffer, 
+        sha256, 
+        headers 
+      });
+      savedFiles[requestUrl] = savePath;
+      
+      // Stylesheets are rewritten from their original text after the crawl
+      if (resourceType === 'stylesheet' || /\.css$/i.test(savePath)) {
+        cssSources.set(requestUrl, buffer.toString('utf8'));
+      }
+      if (rewriteScripts && (resourceType === 'script' || /\.m?js$/i.test(savePath))) {
+        jsSources.set(requestUrl, buffer.toString('utf8'));
+      }
+      
+      if (unchanged) {
+        reportResource(requestUrl, savePath, 'skipped', 0, { change, reason: 'Unchanged since last clone' });
+      } else {
+        reportResource(requestUrl, savePath, 'downloaded', buffer.length, { change });
+      }
+    };
+
+    /**
+     * Keep a resource from the previous clone after the server answered a conditional request with 304
+     * @param {Object} previous - Resource entry from the previous manifest
+     */
+    const keepResource = (previous) => {
+      if (storedUrls.has(previous.url)) return;
+      storedUrls.add(previous.url);
+      
+      const savePath = manifest.resolve(previous);
+      manifest.keepResource(previous);
+      savedFiles[previous.url] = savePath;
+      reportResource(previous.url, savePath, 'skipped', 0, { change: 'unchanged', reason: 'Not modified (304)' });
+    };
+
+    /**
+     * Conditional request headers for a resource the previous clone saved. Only for assets fetched
+     * from Node: the page's own requests must get full bodies to render
+     * @param {string} resourceUrl - Resource URL
+     * @param {string} resourceType - Puppeteer resource type
+     * @returns {Object|null} `If-None-Match` / `If-Modified-Since` headers, or null to fetch in full
+     */
+    const getConditionalHeaders = (resourceUrl, resourceType) => {
+      const previous = manifest.getPrevious(resourceUrl);
+      if (!previous || !CloneManifest.canRevalidate(resourceType)) return null;
+      if (!fs.pathExistsSync(manifest.resolve(previous))) return null;
+      const headers = CloneManifest.conditionalHeaders(previous);
+      return Object.keys(headers).length ? headers : null;
+    };
+
+    const isSaved = (assetUrl) => savedFiles[assetUrl] && path.isAbsolute(savedFiles[assetUrl]);
+
+    /**
+     * Save a page's screenshots/PDF under captures/, named after the page's saved HTML
+     * @param {Object} visuals - `{ files, errors }` from capturePage
+     * @param {string} pageUrl - Page URL
+     * @param {string} savePath - Local path of the page's HTML
+     * @returns {Promise<Array<Object>>} Saved captures: `{ type, savedFullPath, savedRelativePath, fileUrl }`
+     */
+    const saveCaptures = async (visuals, pageUrl, savePath) => {
+      for (const error of visuals.errors) {
+        process.send({ 
+          type: 'progress', 
+          payload: { captureFailed: pageUrl, error } 
+        });
+      }
+
+      const baseName = path.relative(assetsDir, savePath).replace(/\.html?$/i, '').split(path.sep).join('_');
+      const saved = [];
+      for (const [type, buffer] of Object.entries(visuals.files)) {
+        const capturePath = path.join(capturesDir, baseName + CAPTURE_FILES[type]);
+        await journal.write(capturePath, buffer);
+        saved.push({
+          type,
+          savedFullPath: capturePath,
+          savedRelativePath: path.relative(baseOut, capturePath).split(path.sep).join('/'),
+          fileUrl: pathToFileURL(capturePath).href
+        });
+        process.send({ 
+          type: 'progress', 
+          payload: { captureSaved: type, path: capturePath, url: pageUrl } 
+        });
+      }
+      return saved;
+    };
+
+    /**
+     * Download an asset the page never requested and store it like a captured response
+     * @param {string} assetUrl - Asset URL
+     * @param {string} resourceType - Resource type to record it as
+     */
+    const fetchAndStore = async (assetUrl, resourceType) => {
+      manifest.markRequested(assetUrl);
+      try {
+        const conditional = getConditionalHeaders(assetUrl, resourceType);
+        const { buffer, ...response } = await fetchResource(page, assetUrl, { ...languageHeaders, ...conditional });
+        if (response.status === 304 && conditional) {
+          keepResource(manifest.getPrevious(assetUrl));
+        } else if (buffer.length) {
+          await storeResource(assetUrl, buffer, resourceType, response);
+        }
+      } catch (error) {
+        process.send({ 
+          type: 'progress', 
+          payload: { skippedResource: assetUrl, reason: error.message } 
+        });
+      }
+    };
+
+    /**
+     * Check whether a request loads a page or frame document. Those are saved from the captured,
+     * rewritten DOM, never as the raw response, so savedFiles and the manifest only point at the final HTML
+     * @param {Object} request - Puppeteer request
+     * @returns {boolean} True for navigation requests of documents
+     */
+    const isPageDocument = request => request.resourceType() === 'document' && request.isNavigationRequest();
 
     // Set up request interception
     await page.setRequestInterception(true);
-    page.on('request', (request) => request.continue().catch(() => {}));
+    page.on('request', (request) => {
+      if (STATIC_RESOURCE_TYPES.includes(request.resourceType())) {
+        tracker.requestStarted();
+        if (!isPageDocument(request)) manifest.markRequested(request.url());
+      }
+      // Fetched in full: unchanged resources are detected by SHA-256 in storeResource
+      request.continue().catch(() => {});
+    });
+
+    // Settled static requests drive the navigation phase's progress
+    const onRequestSettled = (request) => {
+      if (STATIC_RESOURCE_TYPES.includes(request.resourceType())) tracker.requestFinished();
+    };
+    page.on('requestfinished', onRequestSettled);
+    page.on('requestfailed', onRequestSettled);
 
     // Handle responses
     page.on('response', async (response) => {
@@ -431,6 +951,7 @@ process.on('message', async (options) => {
             headers: request.headers(),
             postData: request.postData(),
             status,
+            responseHeaders: response.headers(),
             responseText: body
           };
           
@@ -442,7 +963,7 @@ process.on('message', async (options) => {
         }
 
         // Handle static resources
-        if (['stylesheet', 'script', 'image', 'font', 'document', 'other'].includes(resourceType)) {
+        if (STATIC_RESOURCE_TYPES.includes(resourceType) && !isPageDocument(request)) {
           // Skip base64 data URLs
           if (requestUrl.startsWith('data:')) {
             process.send({ 
@@ -452,74 +973,20 @@ process.on('message', async (options) => {
             return;
           }
           
+          const previous = manifest.getPrevious(requestUrl);
+          if (status === 304 && previous) {
+            keepResource(previous);
+            return;
+          }
+          
           let buffer = null;
           try { 
             buffer = await response.buffer(); 
           } catch (_) {}
           
           if (buffer && buffer.length) {
-            processedFiles++;
-            
-            const parsed = urlMod.parse(requestUrl);
-            let pathname = parsed.pathname || '/';
-            if (pathname.endsWith('/')) pathname += 'index';
-            
-            // Add .html extension for HTML files without extension
-            if (resourceType === 'document' && !pathname.includes('.') && !pathname.endsWith('.html')) {
-              pathname += '.html';
-            }
-            
-            const savePath = path.join(assetsDir, pathname.replace(/^\//, ''));
-            
-            // Check if file already exists
-            const fileExists = await fs.pathExists(savePath);
-            if (fileExists) {
-              // File already exists, skip download
-              skippedFiles++;
-              savedFiles[requestUrl] = savePath;
-              process.send({ 
-                type: 'progress', 
-                payload: { 
-                  savedResource: requestUrl, 
-                  path: savePath, 
-                  status: 'skipped',
-                  reason: 'File already exists',
-                  progress: {
-                    total: processedFiles, // Show current count as total since we don't know the actual total
-                    processed: processedFiles,
-                    downloaded: downloadedFiles,
-                    skipped: skippedFiles,
-                    percentage: 100, // Always 100% since we're processing files as they come
-                    currentFile: path.basename(requestUrl),
-                    currentFileProgress: 100
-                  }
-                } 
-              });
-            } else {
-              // File doesn't exist, download it
-              downloadedFiles++;
-              await fs.ensureDir(path.dirname(savePath));
-              await fs.outputFile(savePath, buffer);
-              
-              savedFiles[requestUrl] = savePath;
-              process.send({ 
-                type: 'progress', 
-                payload: { 
-                  savedResource: requestUrl, 
-                  path: savePath,
-                  status: 'downloaded',
-                  progress: {
-                    total: processedFiles, // Show current count as total since we don't know the actual total
-                    processed: processedFiles,
-                    downloaded: downloadedFiles,
-                    skipped: skippedFiles,
-                    percentage: 100, // Always 100% since we're processing files as they come
-                    currentFile: path.basename(requestUrl),
-                    currentFileProgress: 100
-                  }
-                } 
-              });
-            }
+            const headers = response.headers();
+            await storeResource(requestUrl, buffer, resourceType, { contentType: headers['content-type'], status, headers });
           }
         }
       } catch (error) {
@@ -528,7 +995,6 @@ process.on('message', async (options) => {
     });
 
     // Set up WebSocket logging via CDP
-    const client = await page.target().createCDPSession();
     await client.send('Network.enable');
     
     client.on('Network.webSocketFrameSent', (event) => {
@@ -551,54 +1017,349 @@ process.on('message', async (options) => {
       });
     });
 
-    // Navigate to the page
-    await page.goto(url, { 
-      waitUntil: 'networkidle2', 
-      timeout: 90000 
-    });
-    
-    // Wait for additional content to load
-    await new Promise(resolve => setTimeout(resolve, 3000));
+    // Crawl pages breadth-first (see crawlOptions)
+    const frontier = new CrawlFrontier(url, crawlOptions);
+    frontier.add(url, 0);
 
-    // Get page HTML
-    const pageHtml = await page.content();
-    
-    // Always save HTML file in assets directory
-    const htmlAssetsDir = path.join(baseOut, 'assets');
-    const savedHtmlPath = path.join(htmlAssetsDir, filename);
-
-    // Replace absolute URLs with relative paths (from assets directory)
-    let transformedHtml = pageHtml;
-    for (const [remoteUrl, localFullPath] of Object.entries(savedFiles)) {
-      const relativePath = path.relative(htmlAssetsDir, localFullPath)
-        .split(path.sep).join('/');
-      transformedHtml = transformedHtml.split(remoteUrl).join(relativePath);
+    // The start page keeps the requested filename (made filesystem-safe)
+    const startName = UrlMapper.safeFilename(filename);
+    const startPagePath = UrlMapper.safeJoin(assetsDir, startName.segment);
+    warnPath(filename, startPagePath, startName.warnings);
+
+    const pages = [];
+    const usedPagePaths = new Set();
+    let next;
+
+    // Steps that navigate only run on the start page: on crawled pages they would load the same
+    // document everywhere and save it under every crawled URL
+    const crawledPageSteps = InteractionScript.withoutNavigation(interactionSteps);
+    if (crawlOptions.maxPages > 1 && crawledPageSteps.length < interactionSteps.length) {
+      process.send({ 
+        type: 'progress', 
+        payload: { stepsStartPageOnly: interactionSteps.length - crawledPageSteps.length } 
+      });
+    }
+
+    while (pages.length < crawlOptions.maxPages && (next = frontier.next())) {
+      throwIfCancelled();
+      tracker.startPage(pages.length, Math.min(crawlOptions.maxPages, pages.length + frontier.pending + 1));
+      const pageSteps = pages.length ? crawledPageSteps : interactionSteps;
+      try {
+        const captured = await capturePage(page, next.url, {
+          wait: waitStrategy,
+          onPhase: phase => tracker.setPhase(phase),
+          onWarning: message => process.send({ 
+            type: 'progress', 
+            payload: { waitWarning: message, url: next.url } 
+          }),
+          steps: pageSteps,
+          captures,
+          shadowDom,
+          videoPosters,
+          snapshotMode,
+          onStep: ({ index, step, status, error }) => process.send({ 
+            type: 'progress', 
+            payload: { 
+              interactionStep: InteractionScript.describe(step), 
+              step: index + 1, 
+              steps: pageSteps.length, 
+              status, 
+              error, 
+              url: next.url 
+            } 
+          })
+        });
+        frontier.markSeen(captured.finalUrl);
+
+        if (next.depth > 0 && !/html/i.test(captured.contentType)) {
+          process.send({ 
+            type: 'progress', 
+            payload: { pageSkipped: next.url, reason: `not an HTML page (${captured.contentType || 'unknown type'})` } 
+          });
+          continue;
+        }
+
+        // The start page keeps the requested filename, every other page mirrors its URL path
+        let savePath = pages.length === 0 ? startPagePath : await getPageSavePath(resolveSavePath, captured.finalUrl);
+        for (let suffix = 2; usedPagePaths.has(savePath); suffix++) {
+          savePath = savePath.replace(/(-\d+)?\.html?$/i, `-${suffix}.html`);
+        }
+        usedPagePaths.add(savePath);
+        const pageCaptures = await saveCaptures(captured.visuals, captured.finalUrl, savePath);
+
+        // Frames are saved where their URL maps (about:blank/srcdoc ones next to the page as <page>.frame-<id>.html);
+        // frames that failed, and everything nested in them, keep their live URL
+        const frames = [];
+        const savedFrames = new Set();
+        for (const frame of captured.frames) {
+          if (frame.error || (frame.parentId && !savedFrames.has(frame.parentId))) continue;
+          const framePath = savePath.replace(/\.html?$/i, `.frame-${frame.id}`);
+          if (frame.video) {
+            frames.push({ ...frame, posterPath: frame.poster ? `${framePath}.png` : null });
+          } else {
+            let frameSavePath = /^https?:/i.test(frame.url) ? await getPageSavePath(resolveSavePath, frame.url) : `${framePath}.html`;
+            for (let suffix = 2; usedPagePaths.has(frameSavePath); suffix++) {
+              frameSavePath = frameSavePath.replace(/(-\d+)?\.html?$/i, `-${suffix}.html`);
+            }
+            usedPagePaths.add(frameSavePath);
+            frames.push({ ...frame, savePath: frameSavePath });
+          }
+          savedFrames.add(frame.id);
+        }
+        if (captured.frames.length) {
+          process.send({ 
+            type: 'progress', 
+            payload: { 
+              framesCaptured: frames.filter(frame => frame.savePath).length, 
+              videoPosters: frames.filter(frame => frame.video).length, 
+              framesFailed: captured.frames.filter(frame => frame.error).map(frame => ({ url: frame.url, error: frame.error })), 
+              url: captured.finalUrl 
+            } 
+          });
+        }
+
+        pages.push({ 
+          url: next.url, 
+          finalUrl: captured.finalUrl, 
+          depth: next.depth, 
+          status: captured.status, 
+          html: captured.html, 
+          alternates: captured.alternates, 
+          captures: pageCaptures, 
+          frames, 
+          savePath 
+        });
+
+        if (captured.runtimeStyles.error || captured.runtimeStyles.styleElements || captured.runtimeStyles.adoptedSheets) {
+          process.send({ 
+            type: 'progress', 
+            payload: { runtimeStyles: captured.runtimeStyles, url: captured.finalUrl } 
+          });
+        }
+
+        if (captured.staticSnapshot) {
+          process.send({ 
+            type: 'progress', 
+            payload: { staticSnapshot: captured.staticSnapshot, url: captured.finalUrl } 
+          });
+        }
+
+        if (captured.shadowRoots) {
+          process.send({ 
+            type: 'progress', 
+            payload: { shadowRoots: captured.shadowRoots, flattened: captured.shadowRootsFlattened, url: captured.finalUrl } 
+          });
+        }
+
+        if (captured.alternates.length) {
+          process.send({ 
+            type: 'progress', 
+            payload: { hreflangAlternates: captured.alternates, url: captured.finalUrl } 
+          });
+        }
+
+        for (const link of captured.links) {
+          frontier.add(link, next.depth + 1);
+        }
+
+        process.send({ 
+          type: 'progress', 
+          payload: { 
+            pageCaptured: captured.finalUrl, 
+            depth: next.depth, 
+            pagesCaptured: pages.length, 
+            pagesQueued: frontier.pending 
+          } 
+        });
+      } catch (error) {
+        if (run.cancelled || (pages.length === 0 && next.depth === 0)) throw error;
+        process.send({ 
+          type: 'progress', 
+          payload: { pageFailed: next.url, error: error.message } 
+        });
+      }
+    }
+
+    if (!pages.length) {
+      throw new Error('No page could be captured');
+    }
+
+    // Download srcset candidates and lazy-load images the browser never requested
+    const missingAssets = new Set();
+    for (const captured of pages) {
+      const documents = [{ html: captured.html, baseUrl: captured.finalUrl }, ...captured.frames.filter(frame => frame.html)];
+      for (const { html, baseUrl } of documents) {
+        for (const assetUrl of HtmlRewriter.collectImageCandidates(html, baseUrl)) {
+          if (!isSaved(assetUrl)) missingAssets.add(assetUrl);
+        }
+      }
     }
     
-    // Process inline CSS to fix [object Object] URLs
-    transformedHtml = processInlineCss(transformedHtml, url);
+    tracker.setPhase('saving', { total: missingAssets.size });
+    if (missingAssets.size > 0) {
+      process.send({ 
+        type: 'progress', 
+        payload: { missingAssets: missingAssets.size } 
+      });
+      await runWithConcurrency([...missingAssets], 4, async assetUrl => {
+        await fetchAndStore(assetUrl, 'image');
+        tracker.advance();
+      });
+    }
+    throwIfCancelled();
+
+    // Map every captured page (requested and final URL) to its local copy for link rewriting;
+    // pages cloned into this folder by earlier runs (watch mode, several clones) count too
+    const pageMap = new Map();
+    for (const entry of previousManifest?.pages || []) {
+      const localPath = manifest.resolve(entry);
+      if (!await fs.pathExists(localPath)) continue;
+      for (const pageUrl of [entry.url, entry.finalUrl].filter(Boolean)) {
+        pageMap.set(frontier.normalize(pageUrl), localPath);
+      }
+    }
+    for (const captured of pages) {
+      pageMap.set(frontier.normalize(captured.url), captured.savePath);
+      pageMap.set(frontier.normalize(captured.finalUrl), captured.savePath);
+    }
+    // Links straight to a frame's URL open its saved copy, unless it is also a page of its own
+    for (const frame of pages.flatMap(captured => captured.frames)) {
+      if (frame.savePath && /^https?:/i.test(frame.url) && !pageMap.has(frontier.normalize(frame.url))) {
+        pageMap.set(frontier.normalize(frame.url), frame.savePath);
+      }
+    }
+    const stubPath = path.join(assetsDir, NOT_ARCHIVED_STUB);
+    const jsRewriter = rewriteScripts
+      ? new JsRewriter({ savedFiles, assetsDir, getResourceType: resourceUrl => manifest.resources.get(resourceUrl)?.resourceType || undefined })
+      : null;
+    const rewriter = new HtmlRewriter({ savedFiles, pageMap, stubPath, unarchivedLinks, jsRewriter });
+    const scriptIssues = [];
+    let stubbedLinks = 0;
+
+    // Rewrite every page against the parsed DOM once every page and asset is known
+    tracker.setPhase('rewriting', { total: pages.length });
+    for (const captured of pages) {
+      throwIfCancelled();
+
+      // Frame documents first; every document of the page points its tagged <iframe>s at the local copies
+      const frameMap = new Map(captured.frames.map(frame => [frame.id, frame]));
+      for (const frame of captured.frames) {
+        if (frame.video) {
+          if (frame.posterPath) await journal.write(frame.posterPath, frame.poster);
+          continue;
+        }
+        const rewrittenFrame = rewriter.rewrite(frame.html, {
+          pageUrl: frame.baseUrl,
+          savePath: frame.savePath,
+          frames: frameMap
+        });
+        stubbedLinks += rewrittenFrame.stubbed;
+        scriptIssues.push(...rewrittenFrame.scriptIssues.map(issue => ({ source: frame.url, ...issue })));
+        await journal.write(frame.savePath, processInlineCss(rewrittenFrame.html, frame.baseUrl), 'utf8');
+      }
+
+      const rewritten = rewriter.rewrite(captured.html, {
+        pageUrl: captured.finalUrl,
+        savePath: captured.savePath,
+        frames: frameMap
+      });
+      stubbedLinks += rewritten.stubbed;
+      scriptIssues.push(...rewritten.scriptIssues.map(issue => ({ source: captured.finalUrl, ...issue })));
+      
+      // Process inline CSS to fix [object Object] URLs
+      const transformedHtml = processInlineCss(rewritten.html, captured.finalUrl);
+      
+      await journal.write(captured.savePath, transformedHtml, 'utf8');
+      manifest.addPage({ ...captured, localPath: captured.savePath, html: transformedHtml });
+      tracker.advance();
+    }
     
-    // Save HTML file in assets directory
-    await fs.ensureDir(htmlAssetsDir);
-    await fs.outputFile(savedHtmlPath, transformedHtml, 'utf8');
+    if (stubbedLinks > 0) {
+      await journal.write(stubPath, buildNotArchivedStub(), 'utf8');
+      process.send({ 
+        type: 'progress', 
+        payload: { linksStubbed: stubbedLinks, stubPath } 
+      });
+    }
+
+    // Process stylesheets received in this run: follow @imports, fetch missing assets, rewrite references
+    throwIfCancelled();
+    tracker.setPhase('css', { total: cssSources.size });
+    await processCssFiles(savedFiles, [...cssSources.keys()], {
+      fetchAsset: fetchAndStore,
+      getSource: assetUrl => cssSources.get(assetUrl) ?? null,
+      writeFile: (filePath, data, encoding) => journal.write(filePath, data, encoding),
+      onProcessed: (done, total) => tracker.update(done, total)
+    });
 
-    // Process CSS files to rewrite URL references
-    await processCssFiles(savedFiles, url);
+    // Rewrite URLs inside the scripts received in this run
+    let scriptsRewritten = null;
+    if (jsRewriter) {
+      throwIfCancelled();
+      tracker.setPhase('scripts', { total: jsSources.size });
+      const summary = await rewriteScriptFiles(jsRewriter, savedFiles, [...jsSources.keys()], {
+        pageUrl: pages[0].finalUrl,
+        getSource: assetUrl => jsSources.get(assetUrl) ?? null,
+        writeFile: (filePath, data, encoding) => journal.write(filePath, data, encoding),
+        onProcessed: (done, total) => tracker.update(done, total)
+      });
+      scriptIssues.push(...summary.issues);
+      scriptsRewritten = { files: summary.files, references: summary.references, issues: scriptIssues.length };
+      process.send({ 
+        type: 'progress', 
+        payload: { scriptsRewritten } 
+      });
+    }
+
+    // Incremental re-clone: compare with the previous manifest
+    let changes = null;
+    if (previousManifest) {
+      const summary = manifest.summarizeChanges();
+      changes = Object.fromEntries(Object.entries(summary).map(([change, urls]) => [change, urls.length]));
+      process.send({ 
+        type: 'progress', 
+        payload: { incremental: changes } 
+      });
+    }
 
     // Save logs
-    await saveApiLogs(apiLogs, logsDir);
-    await fs.outputJson(
-      path.join(logsDir, 'ws_logs.json'),
-      wsLogs,
-      { spaces: 2 }
-    );
+    throwIfCancelled();
+    tracker.setPhase('logs');
+    await saveApiLogs(apiLogs, logsDir, journal);
+    if (pathWarnings.length) {
+      await journal.writeJson(path.join(logsDir, 'path_warnings.json'), pathWarnings);
+    }
+    await journal.writeJson(path.join(logsDir, 'ws_logs.json'), wsLogs);
+    if (scriptsRewritten) {
+      await journal.writeJson(path.join(logsDir, 'js_rewrite_report.json'), { ...scriptsRewritten, issues: scriptIssues });
+    }
+
+    throwIfCancelled();
+    await journal.record(CloneManifest.getPath(baseOut));
+    const manifestPath = await manifest.save();
 
     await browser.close();
+    await journal.commit();
+    activeRun = null;
+    tracker.setPhase('done');
     
-    // Return the saved HTML file path
+    // Return the saved HTML file path of the start page plus every crawled page
     const result = {
-      savedFullPath: savedHtmlPath,
-      savedRelativePath: path.basename(savedHtmlPath)
+      savedFullPath: pages[0].savePath,
+      savedRelativePath: path.basename(pages[0].savePath),
+      pages: pages.map(captured => ({
+        url: captured.finalUrl,
+        depth: captured.depth,
+        savedFullPath: captured.savePath,
+        savedRelativePath: path.relative(assetsDir, captured.savePath).split(path.sep).join('/'),
+        frames: captured.frames.length
+      })),
+      manifestPath,
+      changes,
+      device: deviceProfile.id,
+      environment: captureEnvironment,
+      alternates: pages[0].alternates,
+      captures: pages.flatMap(captured => captured.captures.map(capture => ({ url: captured.finalUrl, ...capture })))
     };
     
     process.send({ 
@@ -607,6 +1368,18 @@ process.on('message', async (options) => {
     });
     
   } catch (error) {
+    if (activeRun?.cancelled) {
+      const rolledBack = rollbackOnCancel ? await activeRun.journal.rollback() : null;
+      activeRun = null;
+      process.send({ 
+        type: 'cancelled', 
+        payload: { rolledBack } 
+      });
+      return;
+    }
+    
+    await activeRun?.browser?.close().catch(() => {});
+    activeRun = null;
     process.send({ 
       type: 'error', 
       payload: String(error?.stack || error) 
@@ -0,0 +1,173 @@
+import puppeteer from 'puppeteer';
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import config from '../utils/config.js';
+import staticServer from '../utils/static-server.js';
+import CloneManifest from '../utils/clone-manifest.js';
+import DeviceProfiles from '../utils/device-profiles.js';
+import CaptureEnvironment from '../utils/capture-environment.js';
+import WaitStrategy from '../utils/wait-strategy.js';
+import VisualDiff from '../utils/visual-diff.js';
+import CookieMapper from '../utils/cookie-mapper.js';
+
+// First port tried for the clone's server, away from the port the user usually serves on
+const VERIFY_PORT = config.server.defaultPort + 100;
+
+/**
+ * Open a page in a fresh tab with the clone's device and environment, let it settle and screenshot it
+ * @param {Object} browser - Puppeteer browser
+ * @param {string} pageUrl - URL to open
+ * @param {Object} run - Capture settings
+ * @param {Object} run.device - Device profile
+ * @param {Object} run.environment - Capture environment
+ * @param {WaitStrategy} run.wait - Wait strategy
+ * @param {boolean} run.fullPage - Screenshot the whole page instead of the viewport
+ * @param {Array<Object>} run.cookies - Puppeteer cookies set before navigating (the live side's login state)
+ * @param {Function} run.onResponse - Called with every response
+ * @returns {Promise<Buffer>} PNG screenshot
+ */
+async function screenshotPage(browser, pageUrl, { device, environment, wait, fullPage, cookies = [], onResponse = () => {} }) {
+  const page = await browser.newPage();
+  try {
+    await page.setViewport(DeviceProfiles.toViewport(device));
+    if (device.userAgent) {
+      await page.setUserAgent(device.userAgent);
+    }
+    const client = await page.target().createCDPSession();
+    await CaptureEnvironment.apply(page, client, environment);
+    if (cookies.length) {
+      await page.setCookie(...cookies);
+    }
+    page.on('response', onResponse);
+
+    const startedAt = Date.now();
+    await page.goto(pageUrl, { waitUntil: 'load', timeout: wait.options.timeout });
+    await wait.settle(page, { startedAt });
+    return Buffer.from(await page.screenshot({ type: 'png', fullPage }));
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+/**
+ * Verify worker: screenshots every page of a clone live and as served locally, and diffs them
+ */
+process.on('message', async ({ outputDir, fullPage = false, threshold, cookies = [] } = {}) => {
+  let browser = null;
+  let server = null;
+
+  try {
+    const baseOut = path.resolve(outputDir);
+    const assetsDir = path.join(baseOut, 'assets');
+    const verifyDir = path.join(baseOut, 'verify');
+
+    const manifest = await CloneManifest.load(baseOut);
+    if (!manifest?.pages?.length) {
+      throw new Error(`No clone to verify in ${baseOut} (manifest.json is missing or lists no pages)`);
+    }
+
+    /**
+     * Render both sides of a page exactly like it was captured: the settings recorded on the page,
+     * else (manifests written before pages recorded them) the latest run's
+     * @param {Object} entry - Page entry of the manifest
+     * @returns {Object} `{ device, environment, wait }`
+     */
+    const captureSettings = (entry) => {
+      const device = entry.device || manifest.options?.device;
+      return {
+        device: device ? DeviceProfiles.normalize(device) : DeviceProfiles.getDefault(),
+        environment: CaptureEnvironment.normalize(entry.environment || manifest.environment || {}),
+        wait: new WaitStrategy(entry.wait || manifest.options?.wait || {})
+      };
+    };
+
+    server = await staticServer.start(assetsDir, VERIFY_PORT);
+    browser = await puppeteer.launch({ headless: true, args: config.puppeteer.args });
+    await fs.ensureDir(verifyDir);
+
+    const pages = [];
+    for (const [index, entry] of manifest.pages.entries()) {
+      // Page paths in the manifest are relative to the output folder; the server serves assets/
+      const relativePath = path.posix.relative('assets', entry.path);
+      const cloneUrl = `${server.url}/${relativePath.split('/').map(encodeURIComponent).join('/')}`;
+      const baseName = relativePath.replace(/\.html?$/i, '').split('/').join('_');
+      process.send({
+        type: 'progress',
+        payload: { verifyPage: entry.finalUrl, page: index + 1, pages: manifest.pages.length }
+      });
+
+      const report = { url: entry.finalUrl, cloneUrl, path: entry.path, localNotFound: [] };
+      try {
+        const { device, environment, wait } = captureSettings(entry);
+        report.device = device.id;
+        // The clone was captured with the source view's cookies; the live side needs them too
+        const live = await screenshotPage(browser, entry.finalUrl, {
+          device,
+          environment,
+          wait,
+          fullPage,
+          cookies: cookies.length ? CookieMapper.toPuppeteer(cookies, entry.finalUrl) : []
+        });
+        const clone = await screenshotPage(browser, cloneUrl, {
+          device,
+          environment,
+          wait,
+          fullPage,
+          onResponse: (response) => {
+            if (response.status() === 404 && response.url().startsWith(server.url)) {
+              report.localNotFound.push(decodeURIComponent(response.url().slice(server.url.length)));
+            }
+          }
+        });
+
+        const diff = VisualDiff.compare(live, clone, { threshold });
+        const files = {
+          live: path.join(verifyDir, `${baseName}.live.png`),
+          clone: path.join(verifyDir, `${baseName}.clone.png`),
+          diff: path.join(verifyDir, `${baseName}.diff.png`)
+        };
+        await fs.outputFile(files.live, live);
+        await fs.outputFile(files.clone, clone);
+        await fs.outputFile(files.diff, diff.diffPng);
+
+        Object.assign(report, {
+          width: diff.width,
+          height: diff.height,
+          mismatchedPixels: diff.mismatchedPixels,
+          mismatchPercent: diff.mismatchPercent,
+          files: Object.fromEntries(Object.entries(files).map(([kind, filePath]) => [kind, pathToFileURL(filePath).href]))
+        });
+      } catch (error) {
+        report.error = error.message;
+      }
+
+      pages.push(report);
+      process.send({
+        type: 'progress',
+        payload: { verifiedPage: report }
+      });
+    }
+
+    const result = {
+      verifiedAt: new Date().toISOString(),
+      fullPage,
+      pages
+    };
+    const reportPath = path.join(verifyDir, 'report.json');
+    await fs.outputJson(reportPath, result, { spaces: 2 });
+
+    process.send({
+      type: 'done',
+      payload: { ...result, reportPath }
+    });
+  } catch (error) {
+    process.send({
+      type: 'error',
+      payload: String(error?.stack || error)
+    });
+  } finally {
+    await browser?.close().catch(() => {});
+    server?.stop();
+  }
+});